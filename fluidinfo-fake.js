@@ -0,0 +1,1170 @@
+/**
+ * fluidinfo-fake.js - an in-memory Fluidinfo for testing code that uses
+ * fluidinfo.js. Kept apart from the client so that browsers using the library
+ * needn't download it. Load it after fluidinfo.js (or require it under Node)
+ * to add fluidinfo.fakeServer.
+ */
+
+// Under Node the library is required rather than loaded beforehand
+if(typeof fluidinfo === "undefined" && typeof require === "function") {
+  var fluidinfo = require("./fluidinfo.js");
+}
+
+/**
+ * An in-memory implementation of Fluidinfo for testing applications end to
+ * end without a network. Pass its transport to a session and requests are
+ * answered as Fluidinfo would answer them:
+ *
+ *   var server = fluidinfo.fakeServer({users: {ntoll: "secret"}});
+ *   var fi = fluidinfo({username: "ntoll", password: "secret",
+ *     transport: server.transport});
+ *
+ * Supports users, objects, about values, namespaces, tags, primitive and
+ * opaque tag values, /values, permissions and the query language (has, =,
+ * <, <=, >, >=, matches, contains, and, or, except and parentheses). Every
+ * user has a top-level namespace of the same name that only they may change.
+ * Requests without credentials are made as the anonymous user "anon".
+ *
+ * @param options {Object} Contains various parameters for the fake server.
+ * <dl>
+ *   <dt>users</dt>
+ *   <dd>An object mapping the usernames of the users to create to their
+ *  passwords.</dd>
+ *   <dt>delay</dt>
+ *   <dd>The number of milliseconds to wait before completing asynchronous
+ *  requests. Defaults to 0.</dd>
+ *   <dt>baseURL</dt>
+ *   <dd>The URL of the instance being faked, for sessions using a bespoke
+ *  instance with a path prefix (e.g. "http://localhost:9000/fluidinfo/").
+ *  Defaults to the root of whichever host requests are made to.</dd>
+ * </dl>
+ * @return {Object} The fake server with a transport function (to pass as a
+ * session's transport option), a requests array (every request received)
+ * and an addUser function.
+ */
+fluidinfo.fakeServer = function(options) {
+  var server = new Object();
+  var users = new Object();
+  var objects = new Object();
+  var abouts = new Object();
+  var namespaces = new Object();
+  var tags = new Object();
+  var permissions = new Object();
+  var delay = 0;
+  var baseURL = null;
+  var VALUE_TYPE = "application/vnd.fluiddb.value+json";
+  var STATUS_TEXT = {200: "OK", 201: "Created", 204: "No Content",
+    400: "Bad Request", 401: "Unauthorized", 404: "Not Found",
+    405: "Method Not Allowed", 412: "Precondition Failed"};
+  var ERROR_STATUS = {"TBadRequest": 400, "TParseError": 400,
+    "TInvalidPath": 400, "TUnauthorized": 401, "TPathPermissionDenied": 401,
+    "TNoSuchUser": 404, "TNonexistentObject": 404, "TNonexistentTag": 404,
+    "TNonexistentNamespace": 404, "TNoInstanceOnObject": 404,
+    "TNamespaceNotEmpty": 412, "TNamespaceAlreadyExists": 412,
+    "TTagAlreadyExists": 412};
+  var ACTIONS = {
+    "namespaces": ["create", "update", "delete", "list", "control"],
+    "tags": ["update", "delete", "control"],
+    "tag-values": ["read", "create", "delete", "control"]
+  };
+
+  /**
+   * Returns a new random (version 4) UUID.
+   */
+  function createId() {
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g,
+      function(c) {
+        var r = Math.floor(Math.random() * 16);
+        return (c === "x" ? r : (r & 0x3 | 0x8)).toString(16);
+      });
+  }
+
+  /**
+   * Builds a transport response.
+   *
+   * @param status {number} The HTTP status code.
+   * @param body The body of the response: objects are sent as JSON.
+   * @param headers {Object} Any headers to send.
+   * @return {Object} The response.
+   */
+  function respond(status, body, headers) {
+    headers = headers || new Object();
+    var responseText = "";
+    if(body !== undefined && body !== null) {
+      if(typeof body === "string") {
+        responseText = body;
+      } else {
+        responseText = JSON.stringify(body);
+        if(!headers["Content-Type"]) {
+          headers["Content-Type"] = "application/json";
+        }
+      }
+    }
+    headers["Content-Length"] = String(responseText.length);
+    return {status: status, statusText: STATUS_TEXT[status] || "",
+      headers: headers, responseText: responseText};
+  }
+
+  /**
+   * Stops handling the request, answering it with a Fluidinfo error.
+   *
+   * @param errorClass {string} The value of the X-FluidDB-Error-Class header.
+   * @param path {string} The path the error relates to, if any.
+   * @param message {string} A human readable description, if any.
+   */
+  function refuse(errorClass, path, message) {
+    var headers = {"X-FluidDB-Error-Class": errorClass};
+    if(path) {
+      headers["X-FluidDB-Path"] = path;
+    }
+    if(message) {
+      headers["X-FluidDB-Message"] = message;
+    }
+    throw {refusal: respond(ERROR_STATUS[errorClass], null, headers)};
+  }
+
+  /**
+   * Decodes a Base64 encoded string of UTF-8 bytes.
+   */
+  function decodeBase64(input) {
+    var keys = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+    var bytes = "";
+    var bits = 0;
+    var count = 0;
+    var i;
+    for(i=0; i<input.length; i++) {
+      var index = keys.indexOf(input.charAt(i));
+      if(index === -1) {
+        continue;
+      }
+      bits = (bits << 6) | index;
+      count += 6;
+      if(count >= 8) {
+        count -= 8;
+        bytes += String.fromCharCode((bits >> count) & 0xff);
+      }
+    }
+    return decodeURIComponent(escape(bytes));
+  }
+
+  /**
+   * Works out which user made a request from its Authorization header.
+   *
+   * @param headers {Object} The request's headers.
+   * @return {string} The username, "anon" if no credentials were sent.
+   */
+  function authenticate(headers) {
+    var header;
+    var credentials = null;
+    for(header in headers) {
+      if(header.toLowerCase() === "authorization") {
+        credentials = headers[header];
+      }
+    }
+    if(!credentials) {
+      return "anon";
+    }
+    var match = /^Basic\s+(.*)$/.exec(credentials);
+    if(match) {
+      var decoded = decodeBase64(match[1]);
+      var colon = decoded.indexOf(":");
+      var username = decoded.slice(0, colon);
+      var user = users[username];
+      if(colon !== -1 && user && user.password !== null &&
+        user.password === decoded.slice(colon + 1)) {
+        return username;
+      }
+    }
+    refuse("TUnauthorized");
+  }
+
+  /**
+   * Returns the permission that applies to the given action on a path.
+   */
+  function permission(category, path, action) {
+    return permissions[category + ":" + path][action];
+  }
+
+  /**
+   * Gives a newly created namespace or tag its default permissions: the
+   * owner of the top-level namespace may do anything and everyone may list
+   * namespaces and read tag values.
+   */
+  function createPermissions(category, path) {
+    var owner = path.split("/")[0];
+    var policies = new Object();
+    var i;
+    for(i=0; i<ACTIONS[category].length; i++) {
+      var action = ACTIONS[category][i];
+      if(action === "list" || action === "read") {
+        policies[action] = {policy: "open", exceptions: []};
+      } else {
+        policies[action] = {policy: "closed", exceptions: [owner]};
+      }
+    }
+    permissions[category + ":" + path] = policies;
+  }
+
+  /**
+   * Returns a boolean indication if the user may perform the action: open
+   * policies allow everyone but the exceptions, closed policies only the
+   * exceptions.
+   */
+  function allowed(user, category, path, action) {
+    var rule = permission(category, path, action);
+    var excepted = rule.exceptions.indexOf(user) !== -1;
+    return (rule.policy === "open") !== excepted;
+  }
+
+  /**
+   * Stops handling the request unless the user may perform the action.
+   */
+  function authorise(user, category, path, action) {
+    if(!allowed(user, category, path, action)) {
+      refuse("TPathPermissionDenied", path);
+    }
+  }
+
+  /**
+   * Returns the path of the namespace containing the given path.
+   */
+  function parentOf(path) {
+    return path.slice(0, path.lastIndexOf("/"));
+  }
+
+  /**
+   * Creates a namespace (its parent must already exist).
+   */
+  function createNamespace(path, description) {
+    namespaces[path] = {id: createId(), description: description || ""};
+    createPermissions("namespaces", path);
+    return namespaces[path];
+  }
+
+  /**
+   * Creates a tag (its namespace must already exist).
+   */
+  function createTag(path, description, indexed) {
+    tags[path] = {id: createId(), description: description || "",
+      indexed: !!indexed};
+    createPermissions("tags", path);
+    createPermissions("tag-values", path);
+    return tags[path];
+  }
+
+  /**
+   * Makes sure the tag exists before a value is stored, creating it (and
+   * any missing namespaces) if the user may create things in the nearest
+   * existing namespace, as Fluidinfo does.
+   */
+  function ensureTag(user, path) {
+    if(tags.hasOwnProperty(path)) {
+      return;
+    }
+    if(path.indexOf("/") === -1) {
+      refuse("TInvalidPath", path);
+    }
+    var parent = parentOf(path);
+    var missing = [];
+    while(parent && !namespaces.hasOwnProperty(parent)) {
+      missing.unshift(parent);
+      parent = parent.indexOf("/") === -1 ? "" : parentOf(parent);
+    }
+    if(!parent) {
+      refuse("TNonexistentTag", path);
+    }
+    authorise(user, "namespaces", parent, "create");
+    var i;
+    for(i=0; i<missing.length; i++) {
+      createNamespace(missing[i]);
+    }
+    createTag(path);
+  }
+
+  /**
+   * Returns the tag at the given path, stopping if it doesn't exist.
+   */
+  function existingTag(path) {
+    if(!tags.hasOwnProperty(path)) {
+      refuse("TNonexistentTag", path);
+    }
+    return tags[path];
+  }
+
+  /**
+   * Returns the namespace at the given path, stopping if it doesn't exist.
+   */
+  function existingNamespace(path) {
+    if(!namespaces.hasOwnProperty(path)) {
+      refuse("TNonexistentNamespace", path);
+    }
+    return namespaces[path];
+  }
+
+  /**
+   * Returns the object with the given id, creating an empty one if it is
+   * new (Fluidinfo objects exist as soon as they are referenced).
+   */
+  function objectWithId(id) {
+    if(!objects.hasOwnProperty(id)) {
+      objects[id] = {id: id, tags: new Object()};
+    }
+    return objects[id];
+  }
+
+  /**
+   * Returns the object about the given value, creating it if need be.
+   *
+   * @return {Object} An object with the object's id and a created flag.
+   */
+  function objectAbout(about) {
+    if(abouts.hasOwnProperty(about)) {
+      return {id: abouts[about], created: false};
+    }
+    var object = objectWithId(createId());
+    abouts[about] = object.id;
+    object.tags["fluiddb/about"] = {value: about, contentType: null};
+    return {id: object.id, created: true};
+  }
+
+  /**
+   * Parses a JSON request body, stopping if it isn't valid JSON.
+   */
+  function parseBody(data) {
+    if(data === undefined || data === null || data === "") {
+      return new Object();
+    }
+    try {
+      return JSON.parse(data);
+    } catch(e) {
+      refuse("TBadRequest", null, "The request body is not valid JSON.");
+    }
+  }
+
+  /**
+   * Interprets the value of a boolean argument such as returnDescription.
+   */
+  function isTrue(args, name) {
+    return !!args[name] && args[name][0].toLowerCase() === "true";
+  }
+
+  /**
+   * Returns the size of a stored opaque value.
+   */
+  function sizeOf(value) {
+    if(typeof value === "string") {
+      return value.length;
+    }
+    if(value.byteLength !== undefined) {
+      return value.byteLength;
+    }
+    return value.size || 0;
+  }
+
+  /**
+   * Splits a query into tokens.
+   *
+   * @param query {string} The query.
+   * @return {Array} Objects with type ("(", ")", "operator", "string",
+   * "number", "word" or "end") and value attributes.
+   */
+  function tokenise(query) {
+    var tokens = [];
+    var patterns = [
+      ["space", /^\s+/],
+      ["(", /^\(/],
+      [")", /^\)/],
+      ["operator", /^(<=|>=|=|<|>)/],
+      ["string", /^"((?:[^"\\]|\\.)*)"/],
+      ["number", /^-?\d+(\.\d+)?(?=[\s()=<>]|$)/],
+      ["word", /^[^\s()=<>"]+/]
+    ];
+    var rest = query;
+    while(rest.length > 0) {
+      var i;
+      var match = null;
+      for(i=0; i<patterns.length; i++) {
+        match = patterns[i][1].exec(rest);
+        if(match) {
+          break;
+        }
+      }
+      if(!match) {
+        refuse("TParseError", null, "Unterminated string in query: " + query);
+      }
+      var type = patterns[i][0];
+      if(type === "string") {
+        tokens.push({type: type, value: match[1].replace(/\\(.)/g, "$1")});
+      } else if(type === "number") {
+        tokens.push({type: type, value: parseFloat(match[0])});
+      } else if(type !== "space") {
+        tokens.push({type: type, value: match[0]});
+      }
+      rest = rest.slice(match[0].length);
+    }
+    tokens.push({type: "end", value: ""});
+    return tokens;
+  }
+
+  /**
+   * Returns the primitive value of a tag on an object (or the object's id
+   * for fluiddb/id), undefined if it has none.
+   */
+  function valueOf(object, path) {
+    if(path === "fluiddb/id") {
+      return object.id;
+    }
+    var tagValue = object.tags[path];
+    if(tagValue && tagValue.contentType === null) {
+      return tagValue.value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Splits text into lower case words for matches queries.
+   */
+  function wordsOf(text) {
+    var words = text.toLowerCase().split(/[^\w]+/);
+    var result = [];
+    var i;
+    for(i=0; i<words.length; i++) {
+      if(words[i]) {
+        result.push(words[i]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Parses a query into a function that tests if an object matches it.
+   * "except" binds most tightly, then "and", then "or". Every tag the query
+   * refers to must exist and be readable by the user.
+   *
+   * @param query {string} The query.
+   * @param user {string} The user making the query.
+   * @return {Function} Called with an object, returns true if it matches.
+   */
+  function parseQuery(query, user) {
+    var tokens = tokenise(query);
+    var position = 0;
+    var paths = [];
+    var peek = function() {
+      return tokens[position];
+    };
+    var keyword = function(word) {
+      var token = peek();
+      if(token.type === "word" && token.value.toLowerCase() === word) {
+        position++;
+        return true;
+      }
+      return false;
+    };
+    var fail = function() {
+      var token = peek();
+      refuse("TParseError", null, "Unexpected " +
+        (token.type === "end" ? "end of query" : "'" + token.value + "'") +
+        " in query: " + query);
+    };
+    var tagPath = function() {
+      var token = peek();
+      if(token.type !== "word") {
+        fail();
+      }
+      position++;
+      if(token.value !== "fluiddb/id") {
+        paths.push(token.value);
+      }
+      return token.value;
+    };
+    var literal = function() {
+      var token = peek();
+      if(token.type === "string" || token.type === "number") {
+        position++;
+        return token.value;
+      }
+      if(keyword("true")) return true;
+      if(keyword("false")) return false;
+      if(keyword("null")) return null;
+      fail();
+    };
+    var text = function() {
+      var token = peek();
+      if(token.type !== "string") {
+        fail();
+      }
+      position++;
+      return token.value;
+    };
+    var expression;
+    var term = function() {
+      if(peek().type === "(") {
+        position++;
+        var inner = expression();
+        if(peek().type !== ")") {
+          fail();
+        }
+        position++;
+        return inner;
+      }
+      if(keyword("has")) {
+        var hasPath = tagPath();
+        return function(object) {
+          return hasPath === "fluiddb/id" || object.tags.hasOwnProperty(hasPath);
+        };
+      }
+      var path = tagPath();
+      if(keyword("matches")) {
+        var words = wordsOf(text());
+        return function(object) {
+          var value = valueOf(object, path);
+          if(typeof value !== "string" || words.length === 0) {
+            return false;
+          }
+          var valueWords = wordsOf(value);
+          var i;
+          for(i=0; i<words.length; i++) {
+            if(valueWords.indexOf(words[i]) === -1) {
+              return false;
+            }
+          }
+          return true;
+        };
+      }
+      if(keyword("contains")) {
+        var member = text();
+        return function(object) {
+          var value = valueOf(object, path);
+          return Object.prototype.toString.call(value) === "[object Array]" &&
+            value.indexOf(member) !== -1;
+        };
+      }
+      if(peek().type !== "operator") {
+        fail();
+      }
+      var operator = tokens[position++].value;
+      var expected = literal();
+      if(operator !== "=" && typeof expected !== "number") {
+        fail();
+      }
+      return function(object) {
+        var value = valueOf(object, path);
+        switch(operator) {
+          case "=":
+            return value === expected;
+          case "<":
+            return typeof value === "number" && value < expected;
+          case "<=":
+            return typeof value === "number" && value <= expected;
+          case ">":
+            return typeof value === "number" && value > expected;
+          case ">=":
+            return typeof value === "number" && value >= expected;
+        }
+      };
+    };
+    var exclusion = function() {
+      var left = term();
+      while(keyword("except")) {
+        left = (function(include, exclude) {
+          return function(object) {
+            return include(object) && !exclude(object);
+          };
+        })(left, term());
+      }
+      return left;
+    };
+    var conjunction = function() {
+      var left = exclusion();
+      while(keyword("and")) {
+        left = (function(a, b) {
+          return function(object) {
+            return a(object) && b(object);
+          };
+        })(left, exclusion());
+      }
+      return left;
+    };
+    expression = function() {
+      var left = conjunction();
+      while(keyword("or")) {
+        left = (function(a, b) {
+          return function(object) {
+            return a(object) || b(object);
+          };
+        })(left, conjunction());
+      }
+      return left;
+    };
+    var result = expression();
+    if(peek().type !== "end") {
+      fail();
+    }
+    var i;
+    for(i=0; i<paths.length; i++) {
+      existingTag(paths[i]);
+      authorise(user, "tag-values", paths[i], "read");
+    }
+    return result;
+  }
+
+  /**
+   * Returns the objects matching a query.
+   */
+  function search(query, user) {
+    if(query === undefined) {
+      refuse("TBadRequest", null, "Missing query argument.");
+    }
+    var matches = parseQuery(query, user);
+    var result = [];
+    var id;
+    for(id in objects) {
+      if(objects.hasOwnProperty(id) && matches(objects[id])) {
+        result.push(objects[id]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Handles GET, HEAD, PUT and DELETE requests for the value of a tag on
+   * an object.
+   */
+  function handleTagValue(request, user, object, path) {
+    existingTag(path);
+    var tagValue = object.tags[path];
+    switch(request.method) {
+      case "GET":
+      case "HEAD":
+        authorise(user, "tag-values", path, "read");
+        if(!tagValue) {
+          refuse("TNoInstanceOnObject", path);
+        }
+        if(tagValue.contentType === null) {
+          var json = JSON.stringify(tagValue.value);
+          return respond(200, request.method === "GET" ? json : null,
+            {"Content-Type": VALUE_TYPE});
+        }
+        var response = respond(200, null,
+          {"Content-Type": tagValue.contentType});
+        response.headers["Content-Length"] = String(sizeOf(tagValue.value));
+        if(request.method === "GET") {
+          if(request.responseType) {
+            response.binary = tagValue.value;
+          } else if(typeof tagValue.value === "string") {
+            response.responseText = tagValue.value;
+          }
+        }
+        return response;
+      case "DELETE":
+        authorise(user, "tag-values", path, "delete");
+        if(tagValue) {
+          delete object.tags[path];
+        }
+        return respond(204);
+    }
+    refuse("TBadRequest", null, "Unsupported method.");
+  }
+
+  /**
+   * Stores a value PUT to a tag on an object.
+   */
+  function putTagValue(request, user, object, path) {
+    var contentType = null;
+    var header;
+    for(header in request.headers) {
+      if(header.toLowerCase() === "content-type") {
+        contentType = request.headers[header];
+      }
+    }
+    if(!contentType) {
+      refuse("TBadRequest", path, "Missing Content-Type.");
+    }
+    ensureTag(user, path);
+    authorise(user, "tag-values", path, "create");
+    if(contentType === VALUE_TYPE) {
+      object.tags[path] = {value: parseBody(request.data), contentType: null};
+    } else {
+      object.tags[path] = {value: request.data, contentType: contentType};
+    }
+    return respond(204);
+  }
+
+  /**
+   * Handles requests to /objects and /about.
+   */
+  function handleObjects(request, user, segments, base) {
+    var object = null;
+    var id;
+    if(segments[0] === "about") {
+      if(segments.length < 2) {
+        refuse("TBadRequest", null, "Missing about value.");
+      }
+      var about = segments[1];
+      if(segments.length === 2 && request.method === "POST") {
+        if(user === "anon") {
+          refuse("TUnauthorized");
+        }
+        var created = objectAbout(about);
+        return respond(created.created ? 201 : 200,
+          {id: created.id, URI: base + "objects/" + created.id},
+          {"Location": base + "objects/" + created.id});
+      }
+      if(!abouts.hasOwnProperty(about)) {
+        if(request.method === "PUT" && segments.length > 2) {
+          object = objects[objectAbout(about).id];
+        } else {
+          refuse("TNonexistentObject", about);
+        }
+      } else {
+        object = objects[abouts[about]];
+      }
+    } else if(segments.length === 1) {
+      if(request.method === "POST") {
+        if(user === "anon") {
+          refuse("TUnauthorized");
+        }
+        var body = parseBody(request.data);
+        id = body.about !== undefined ? objectAbout(body.about).id :
+          objectWithId(createId()).id;
+        return respond(201, {id: id, URI: base + "objects/" + id},
+          {"Location": base + "objects/" + id});
+      }
+      if(request.method === "GET") {
+        var matches = search(request.args.query && request.args.query[0],
+          user);
+        var ids = [];
+        var i;
+        for(i=0; i<matches.length; i++) {
+          ids.push(matches[i].id);
+        }
+        return respond(200, {ids: ids});
+      }
+      refuse("TBadRequest", null, "Unsupported method.");
+    } else {
+      object = objectWithId(segments[1]);
+    }
+    if(segments.length === 2) {
+      if(request.method !== "GET" && request.method !== "HEAD") {
+        refuse("TBadRequest", null, "Unsupported method.");
+      }
+      var tagPaths = [];
+      var path;
+      for(path in object.tags) {
+        if(object.tags.hasOwnProperty(path)) {
+          tagPaths.push(path);
+        }
+      }
+      var description = {tagPaths: tagPaths};
+      if(segments[0] === "about") {
+        description.id = object.id;
+      } else if(isTrue(request.args, "showAbout")) {
+        description.about = object.tags["fluiddb/about"] ?
+          object.tags["fluiddb/about"].value : null;
+      }
+      return respond(200, request.method === "GET" ? description : null,
+        {"Content-Type": "application/json"});
+    }
+    var tagPath = segments.slice(2).join("/");
+    if(request.method === "PUT") {
+      return putTagValue(request, user, object, tagPath);
+    }
+    return handleTagValue(request, user, object, tagPath);
+  }
+
+  /**
+   * Handles requests to /namespaces.
+   */
+  function handleNamespaces(request, user, segments, base) {
+    var path = segments.slice(1).join("/");
+    var namespace = existingNamespace(path);
+    var body;
+    switch(request.method) {
+      case "POST":
+        body = parseBody(request.data);
+        if(!body.name || body.name.indexOf("/") !== -1) {
+          refuse("TBadRequest", path, "Missing or invalid namespace name.");
+        }
+        authorise(user, "namespaces", path, "create");
+        var newPath = path + "/" + body.name;
+        if(namespaces.hasOwnProperty(newPath)) {
+          refuse("TNamespaceAlreadyExists", newPath);
+        }
+        var created = createNamespace(newPath, body.description);
+        return respond(201, {id: created.id,
+          URI: base + "namespaces/" + newPath},
+          {"Location": base + "namespaces/" + newPath});
+      case "GET":
+      case "HEAD":
+        var result = {id: namespace.id};
+        if(isTrue(request.args, "returnDescription")) {
+          result.description = namespace.description;
+        }
+        var listNamespaces = isTrue(request.args, "returnNamespaces");
+        var listTags = isTrue(request.args, "returnTags");
+        if(listNamespaces || listTags) {
+          authorise(user, "namespaces", path, "list");
+          var names = children(path);
+          if(listNamespaces) {
+            result.namespaceNames = names.namespaces;
+          }
+          if(listTags) {
+            result.tagNames = names.tags;
+          }
+        }
+        return respond(200, request.method === "GET" ? result : null,
+          {"Content-Type": "application/json"});
+      case "PUT":
+        body = parseBody(request.data);
+        authorise(user, "namespaces", path, "update");
+        namespace.description = body.description || "";
+        return respond(204);
+      case "DELETE":
+        authorise(user, "namespaces", path, "delete");
+        var contents = children(path);
+        if(contents.namespaces.length > 0 || contents.tags.length > 0) {
+          refuse("TNamespaceNotEmpty", path);
+        }
+        delete namespaces[path];
+        delete permissions["namespaces:" + path];
+        return respond(204);
+    }
+    refuse("TBadRequest", null, "Unsupported method.");
+  }
+
+  /**
+   * Returns the names of the namespaces and tags directly inside a
+   * namespace.
+   */
+  function children(path) {
+    var result = {namespaces: [], tags: []};
+    var prefix = path + "/";
+    var child;
+    for(child in namespaces) {
+      if(namespaces.hasOwnProperty(child) && child.indexOf(prefix) === 0 &&
+        child.slice(prefix.length).indexOf("/") === -1) {
+        result.namespaces.push(child.slice(prefix.length));
+      }
+    }
+    for(child in tags) {
+      if(tags.hasOwnProperty(child) && parentOf(child) === path) {
+        result.tags.push(child.slice(prefix.length));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Handles requests to /tags.
+   */
+  function handleTags(request, user, segments, base) {
+    var path = segments.slice(1).join("/");
+    var body;
+    if(request.method === "POST") {
+      existingNamespace(path);
+      body = parseBody(request.data);
+      if(!body.name || body.name.indexOf("/") !== -1) {
+        refuse("TBadRequest", path, "Missing or invalid tag name.");
+      }
+      authorise(user, "namespaces", path, "create");
+      var newPath = path + "/" + body.name;
+      if(tags.hasOwnProperty(newPath)) {
+        refuse("TTagAlreadyExists", newPath);
+      }
+      var created = createTag(newPath, body.description, body.indexed);
+      return respond(201, {id: created.id, URI: base + "tags/" + newPath},
+        {"Location": base + "tags/" + newPath});
+    }
+    var tag = existingTag(path);
+    switch(request.method) {
+      case "GET":
+      case "HEAD":
+        var result = {id: tag.id, indexed: tag.indexed};
+        if(isTrue(request.args, "returnDescription")) {
+          result.description = tag.description;
+        }
+        return respond(200, request.method === "GET" ? result : null,
+          {"Content-Type": "application/json"});
+      case "PUT":
+        body = parseBody(request.data);
+        authorise(user, "tags", path, "update");
+        tag.description = body.description || "";
+        return respond(204);
+      case "DELETE":
+        authorise(user, "tags", path, "delete");
+        delete tags[path];
+        delete permissions["tags:" + path];
+        delete permissions["tag-values:" + path];
+        var id;
+        for(id in objects) {
+          if(objects.hasOwnProperty(id)) {
+            delete objects[id].tags[path];
+          }
+        }
+        return respond(204);
+    }
+    refuse("TBadRequest", null, "Unsupported method.");
+  }
+
+  /**
+   * Handles requests to /permissions.
+   */
+  function handlePermissions(request, user, segments) {
+    var category = segments[1];
+    var path = segments.slice(2).join("/");
+    var action = request.args.action && request.args.action[0];
+    if(!ACTIONS.hasOwnProperty(category) || !action ||
+      ACTIONS[category].indexOf(action) === -1) {
+      refuse("TBadRequest", path, "Invalid category or action.");
+    }
+    if(category === "namespaces") {
+      existingNamespace(path);
+    } else {
+      existingTag(path);
+    }
+    authorise(user, category, path, "control");
+    var rule = permission(category, path, action);
+    if(request.method === "GET") {
+      return respond(200, {policy: rule.policy,
+        exceptions: rule.exceptions.slice(0)});
+    }
+    if(request.method === "PUT") {
+      var body = parseBody(request.data);
+      if((body.policy !== "open" && body.policy !== "closed") ||
+        Object.prototype.toString.call(body.exceptions) !== "[object Array]") {
+        refuse("TBadRequest", path, "Invalid policy or exceptions.");
+      }
+      permissions[category + ":" + path][action] = {policy: body.policy,
+        exceptions: body.exceptions.slice(0)};
+      return respond(204);
+    }
+    refuse("TBadRequest", null, "Unsupported method.");
+  }
+
+  /**
+   * Handles requests to /values.
+   */
+  function handleValues(request, user) {
+    var args = request.args;
+    var i;
+    var j;
+    if(request.method === "PUT") {
+      var body = parseBody(request.data);
+      var queries = body.queries || [];
+      for(i=0; i<queries.length; i++) {
+        var matches = search(queries[i][0], user);
+        var values = queries[i][1];
+        var path;
+        for(path in values) {
+          if(values.hasOwnProperty(path)) {
+            ensureTag(user, path);
+            authorise(user, "tag-values", path, "create");
+            for(j=0; j<matches.length; j++) {
+              matches[j].tags[path] = {value: values[path].value,
+                contentType: null};
+            }
+          }
+        }
+      }
+      return respond(204);
+    }
+    var objectsFound = search(args.query && args.query[0], user);
+    var paths = args.tag || [];
+    for(i=0; i<paths.length; i++) {
+      if(paths[i] !== "fluiddb/id" && paths[i] !== "*") {
+        existingTag(paths[i]);
+      }
+    }
+    if(request.method === "DELETE") {
+      for(i=0; i<paths.length; i++) {
+        if(paths[i] === "fluiddb/id" || paths[i] === "*") {
+          refuse("TBadRequest", paths[i], "Can't delete " + paths[i] +
+            " values.");
+        }
+        authorise(user, "tag-values", paths[i], "delete");
+      }
+      for(i=0; i<objectsFound.length; i++) {
+        for(j=0; j<paths.length; j++) {
+          delete objectsFound[i].tags[paths[j]];
+        }
+      }
+      return respond(204);
+    }
+    if(request.method !== "GET") {
+      refuse("TBadRequest", null, "Unsupported method.");
+    }
+    var results = new Object();
+    for(i=0; i<objectsFound.length; i++) {
+      var object = objectsFound[i];
+      var selected = paths;
+      if(paths.indexOf("*") !== -1) {
+        selected = [];
+        var tagPath;
+        for(tagPath in object.tags) {
+          if(object.tags.hasOwnProperty(tagPath) &&
+            allowed(user, "tag-values", tagPath, "read")) {
+            selected.push(tagPath);
+          }
+        }
+      }
+      var found = new Object();
+      for(j=0; j<selected.length; j++) {
+        var selectedPath = selected[j];
+        if(selectedPath === "fluiddb/id") {
+          found[selectedPath] = {value: object.id};
+          continue;
+        }
+        authorise(user, "tag-values", selectedPath, "read");
+        var tagValue = object.tags[selectedPath];
+        if(!tagValue) {
+          continue;
+        }
+        if(tagValue.contentType === null) {
+          found[selectedPath] = {value: tagValue.value};
+        } else {
+          found[selectedPath] = {"value-type": tagValue.contentType,
+            size: sizeOf(tagValue.value)};
+        }
+      }
+      results[object.id] = found;
+    }
+    return respond(200, {results: {id: results}});
+  }
+
+  /**
+   * Works out the response to a request.
+   *
+   * @param request {Object} The request passed to the transport.
+   * @return {Object} The response.
+   */
+  function handle(request) {
+    var base = baseURL;
+    if(!base) {
+      var origin = /^[a-zA-Z][\w+.\-]*:\/\/[^\/]*\//.exec(request.url);
+      base = origin ? origin[0] : "";
+    }
+    if(!base || request.url.indexOf(base) !== 0) {
+      return respond(404);
+    }
+    var match = /^([^?#]*)(?:\?([^#]*))?/
+      .exec(request.url.slice(base.length));
+    var segments = match[1].split("/");
+    if(segments.length > 1 && segments[segments.length - 1] === "") {
+      segments.pop();
+    }
+    var i;
+    for(i=0; i<segments.length; i++) {
+      segments[i] = decodeURIComponent(segments[i]);
+    }
+    var args = new Object();
+    if(match[2]) {
+      var pairs = match[2].split("&");
+      for(i=0; i<pairs.length; i++) {
+        var pair = pairs[i].split("=");
+        var name = decodeURIComponent(pair[0]);
+        if(!args.hasOwnProperty(name)) {
+          args[name] = [];
+        }
+        args[name].push(decodeURIComponent(pair.slice(1).join("=")));
+      }
+    }
+    var routed = {method: request.method, headers: request.headers || {},
+      data: request.data, responseType: request.responseType, args: args};
+    try {
+      var user = authenticate(routed.headers);
+      switch(segments[0]) {
+        case "users":
+          if(!users.hasOwnProperty(segments[1])) {
+            refuse("TNoSuchUser", segments[1]);
+          }
+          return respond(200, {name: users[segments[1]].name,
+            id: users[segments[1]].id});
+        case "objects":
+        case "about":
+          return handleObjects(routed, user, segments, base);
+        case "namespaces":
+          return handleNamespaces(routed, user, segments, base);
+        case "tags":
+          return handleTags(routed, user, segments, base);
+        case "permissions":
+          return handlePermissions(routed, user, segments);
+        case "values":
+          return handleValues(routed, user);
+      }
+      return respond(404);
+    } catch(e) {
+      if(e && e.refusal) {
+        return e.refusal;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Adds a user along with their top-level namespace.
+   *
+   * @param username {string} The user's username.
+   * @param password {string} The user's password.
+   * @param name {string} The user's full name (defaults to the username).
+   */
+  server.addUser = function(username, password, name) {
+    users[username] = {id: createId(), name: name || username,
+      password: password};
+    if(!namespaces.hasOwnProperty(username)) {
+      createNamespace(username, "Namespace for the user " + username);
+    }
+  };
+
+  /**
+   * The requests the fake server has received, oldest first.
+   */
+  server.requests = [];
+
+  /**
+   * The transport to pass to a session. Synchronous requests are answered
+   * straight away, asynchronous ones after the server's delay.
+   */
+  server.transport = function(request) {
+    server.requests.push(request);
+    var response = handle(request);
+    if(!request.async) {
+      request.onComplete(response);
+      return response;
+    }
+    var timer = setTimeout(function() {
+      request.onComplete(response);
+    }, delay);
+    return {
+      abort: function() {
+        clearTimeout(timer);
+      }
+    };
+  };
+
+  // Fluidinfo's own namespace and the tag holding about values
+  users["fluiddb"] = {id: createId(), name: "Fluidinfo", password: null};
+  createNamespace("fluiddb", "Fluidinfo's own namespace");
+  createTag("fluiddb/about", "A description of what an object is about.",
+    true);
+  if(options) {
+    if(options.delay !== undefined) {
+      delay = options.delay;
+    }
+    if(options.baseURL) {
+      baseURL = options.baseURL;
+    }
+    var username;
+    for(username in options.users) {
+      if(typeof options.users[username] !== "function") {
+        server.addUser(username, options.users[username]);
+      }
+    }
+  }
+
+  return server;
+};
+
+// Make the fake server available to Node's module system
+if(typeof module === "object" && module.exports) {
+  module.exports = fluidinfo.fakeServer;
+}
@@ -11,9 +11,112 @@
  *   <dd>The username to use when authenticating with Fluidinfo.</dd>
  *   <dt>password</dt>
  *   <dd>The password to use when authenticating with Fluidinfo</dd>
+ *   <dt>auth</dt>
+ *   <dd>How to authenticate when the username and password options aren't
+ *  enough. Either a provider (an object with an authorize function and an
+ *  optional refresh function, see authenticationProvider) or an object with
+ *  a type of "basic" (with username and password attributes), "bearer"
+ *  (with a token attribute and an optional refresh function returning a new
+ *  token), "oauthEcho" (with serviceProvider and credentials attributes)
+ *  or "delegated" (with a sign function returning the headers to add). A
+ *  token, credentials or signature may be given as a function returning a
+ *  Promise, in which case only asynchronous requests can be made. Defaults
+ *  to Basic authentication with the username and password.</dd>
  *   <dt>instance</dt>
- *   <dd>The instance to connect to. Either "main", "sandbox" or a bespoke
- *  instance. Defaults to "main".</dd>
+ *   <dd>The instance to connect to. Either "main", "sandbox" or the URL of
+ *  a bespoke instance, which may include a port, an IPv6 host and a path
+ *  prefix but must end with a slash, e.g. "http://localhost:9000/" or
+ *  "https://[::1]/fluidinfo/". Defaults to "main".</dd>
+ *   <dt>headers</dt>
+ *   <dd>An object of extra headers to send with every request (available
+ *  afterwards as the session's headers attribute).</dd>
+ *   <dt>endpoints</dt>
+ *   <dd>An array of instances (as for the instance option) serving the same
+ *  data, e.g. a primary and its read replicas. The first is the primary and
+ *  becomes the session's baseURL. Writes go to the primary and reads take
+ *  turns between the healthy endpoints. When an endpoint stops responding
+ *  (network errors, timeouts and 502, 503 or 504 responses) it is marked
+ *  unhealthy and requests other than POSTs are sent to the next healthy
+ *  endpoint, writes failing over in the order the endpoints are listed.
+ *  Every result has an endpoint attribute recording the base URL of the
+ *  endpoint that served it.</dd>
+ *   <dt>healthCheck</dt>
+ *   <dd>Controls how the endpoints are checked so unhealthy ones are
+ *  avoided and recovered ones used again. Either false (to only check them
+ *  when session.endpoints.check() is called) or an object with any of the
+ *  following attributes: interval (milliseconds between checks, default
+ *  30000), path (the path to GET, default "users/fluiddb") and timeout
+ *  (default 5000). An endpoint is healthy if it responds with anything but
+ *  a 5xx.</dd>
+ *   <dt>transport</dt>
+ *   <dd>A function that performs the actual HTTP exchange. It is passed an
+ *  object with method, url, headers, data, async, responseType, onProgress
+ *  (may be undefined) and onComplete attributes and must call onComplete with a response object
+ *  that has status, statusText and responseText attributes and either a
+ *  getResponseHeader function or a headers object. If the request has a
+ *  responseType the response's binary attribute holds the body instead.
+ *  Synchronous transports may also return the response, asynchronous
+ *  transports may return an object with an abort function to cancel the
+ *  request. Defaults to XMLHttpRequest in browsers and the http/https
+ *  modules under Node.</dd>
+ *   <dt>timeout</dt>
+ *   <dd>The number of milliseconds to wait for an asynchronous request to
+ *  complete before giving up. Defaults to no timeout.</dd>
+ *   <dt>retry</dt>
+ *   <dd>Enables retrying requests that fail because of network problems,
+ *  timeouts or 5xx responses. Either true (to use the default policy) or an
+ *  object with any of the following attributes: attempts (the maximum number
+ *  of attempts, default 3), delay (milliseconds before the first retry,
+ *  default 200), factor (the exponential backoff multiplier, default 2),
+ *  maxDelay (default 10000), jitter (the fraction by which a delay may be
+ *  randomly reduced, default 0.5) and methods (default GET, HEAD, PUT and
+ *  DELETE). POST requests are only retried if explicitly listed in methods.
+ *  A Retry-After header sent by Fluidinfo is honoured, and if it asks for a
+ *  longer wait than maxDelay the request fails rather than retrying early.
+ *  Defaults to no retries.</dd>
+ *   <dt>offline</dt>
+ *   <dd>Enables queueing requests that change data (POST, PUT and DELETE)
+ *  while there is no connection to Fluidinfo. Queued requests are persisted
+ *  and replayed in order once connectivity returns. Either true or an object
+ *  with any of the following attributes: storage (an object with
+ *  localStorage style getItem and setItem functions, defaults to
+ *  localStorage in browsers and a JSON file under Node), file (the JSON file
+ *  used under Node, default ".fluidinfo-queue.json"), key (the storage key,
+ *  default "fluidinfo.offlineQueue"), onReplay (called with the entry and
+ *  result when a queued request succeeds), onReplayError (called with the
+ *  entry and error when a queued request fails) and onConflict (called with
+ *  the entry and error when a queued request conflicts with a change made
+ *  in the meantime). Requests are only replayed while the user who queued
+ *  them is signed in, so they're never sent with another user's
+ *  credentials. Defaults to off.</dd>
+ *   <dt>maxConcurrentRequests</dt>
+ *   <dd>The maximum number of asynchronous requests to have in flight at any
+ *  one time. Further requests wait in a queue, reads (GET and HEAD) before
+ *  writes and otherwise first in, first out. Defaults to no limit.</dd>
+ *   <dt>cache</dt>
+ *   <dd>Enables caching the responses to GET and HEAD requests for as long as
+ *  their Cache-Control header allows. Cached responses are invalidated when
+ *  the session changes the resources they relate to. Either true (to cache
+ *  in memory) or an object with a storage attribute: an object with get,
+ *  set, remove and keys functions used to store the cached responses.
+ *  Defaults to off.</dd>
+ *   <dt>logger</dt>
+ *   <dd>Enables logging the method, URL, status, timing and Fluidinfo error
+ *  headers of every request. Either true (to log at the "info" level to the
+ *  console) or an object with any of the following attributes: level (one
+ *  of "debug", "info", "warn" or "error") and sink (a function called with
+ *  the level, message and an object of details). The Authorization header
+ *  and password are always redacted. Defaults to off.</dd>
+ *   <dt>cassette</dt>
+ *   <dd>Records the session's requests and responses or replays earlier
+ *  recordings instead of contacting Fluidinfo. An object with a mode
+ *  attribute ("record" or "replay") and either a file (the JSON cassette
+ *  file under Node) or, when replaying, an interactions array (as returned
+ *  by session.cassette.interactions()). Each recorded response is replayed
+ *  once, to the first request with the same method, URL and payload.
+ *  Requests without a matching recording fail with a CassetteError.
+ *  Authorization headers, binary payloads and binary responses are never
+ *  recorded. Defaults to off.</dd>
  * </dl>
  * returns {Object} An object through which one interacts with Fluidinfo.
  */
@@ -63,6 +166,21 @@ var fluidinfo = function(options) {
                     utftext += String.fromCharCode((c >> 6) | 192);
                     utftext += String.fromCharCode((c & 63) | 128);
                 }
+                else if((c >= 0xD800) && (c < 0xE000)) {
+                    // surrogate pairs encode code points beyond the BMP and
+                    // take four bytes, lone surrogates become U+FFFD
+                    var low = string.charCodeAt(n + 1);
+                    if((c < 0xDC00) && (low >= 0xDC00) && (low < 0xE000)) {
+                        c = 0x10000 + ((c - 0xD800) << 10) + (low - 0xDC00);
+                        n++;
+                        utftext += String.fromCharCode((c >> 18) | 240);
+                        utftext += String.fromCharCode(((c >> 12) & 63) | 128);
+                        utftext += String.fromCharCode(((c >> 6) & 63) | 128);
+                        utftext += String.fromCharCode((c & 63) | 128);
+                    } else {
+                        utftext += String.fromCharCode(239, 191, 189);
+                    }
+                }
                 else {
                     utftext += String.fromCharCode((c >> 12) | 224);
                     utftext += String.fromCharCode(((c >> 6) & 63) | 128);
@@ -77,35 +195,119 @@ var fluidinfo = function(options) {
      * Represents a session with Fluidinfo.
      */
     var session = new Object();
-    var authorizationToken = "";
+    var errors = fluidinfo.errors;
+    session.headers = new Object();
+    var authProvider = null;
+    var transport = detectTransport();
+    var requestInterceptors = [];
+    var responseInterceptors = [];
+    var offlineSettings = null;
+    var offlineQueue = [];
+    var offlineCallbacks = new Object();
+    // the entry being replayed and the handle of its request
+    var replaying = null;
+    var scheduledJobs = [];
+    var activeJobs = 0;
+    var drainListeners = [];
+    var sharedCalls = new Object();
+    var cacheStorage = null;
+    var eventListeners = new Object();
+    var outstandingRequests = 0;
+    var loggerSettings = null;
+    var cassetteSettings = null;
+    var secrets = [];
+    var statistics = new Object();
+    var endpoints = [];
+    var healthSettings = true;
+    var healthTimer = null;
+    var nextRead = 0;
 
     if(options) {
       if(options.instance) {
-        switch(options.instance.toLowerCase()) {
-          case "main":
-            session.baseURL = "https://fluiddb.fluidinfo.com/";
-            break;
-          case "sandbox":
-            session.baseURL = "https://sandbox.fluidinfo.com/";
-            break;
-          default:
-              // validate the bespoke instance
-              var urlRegex = /^(http|https):\/\/[\w\-_\.]+\/$/;
-              if(urlRegex.exec(options.instance)) {
-                session.baseURL = options.instance;
-              } else {
-                throw {
-                  name: "ValueError",
-                  message: "The URL must start with http[s]:// and have a trailing slash ('/') to be valid. E.g. https://localhost/"
-                };
-              }
+        session.baseURL = instanceURL(options.instance);
+      }
+      if(options.endpoints) {
+        if(!isArray(options.endpoints) || options.endpoints.length === 0) {
+          throw new errors.ValueError("The endpoints must be a non-empty array of instances.");
+        }
+        var e;
+        for(e=0; e<options.endpoints.length; e++) {
+          endpoints.push({url: instanceURL(options.endpoints[e]),
+            healthy: true, lastChecked: null});
+        }
+        // the first endpoint is the primary
+        session.baseURL = endpoints[0].url;
+      }
+      if(options.healthCheck !== undefined) {
+        healthSettings = options.healthCheck;
+      }
+      if(options.transport) {
+        if(typeof options.transport !== "function") {
+          throw new errors.ValueError("The transport must be a function.");
+        }
+        transport = options.transport;
+      }
+      if(options.timeout !== undefined) {
+        session.timeout = options.timeout;
+      }
+      if(options.retry !== undefined) {
+        session.retry = options.retry;
+      }
+      if(options.maxConcurrentRequests !== undefined) {
+        session.maxConcurrentRequests = options.maxConcurrentRequests;
+      }
+      if(options.headers) {
+        var name;
+        for(name in options.headers) {
+          if(typeof options.headers[name] !== "function") {
+            session.headers[name] = options.headers[name];
+          }
         }
       }
+      if(options.cache) {
+        if(typeof options.cache === "object" && options.cache.storage) {
+          cacheStorage = options.cache.storage;
+        } else {
+          cacheStorage = memoryCacheStorage();
+        }
+      }
+      if(options.offline) {
+        offlineSettings = new Object();
+        if(typeof options.offline === "object") {
+          var setting;
+          for(setting in options.offline) {
+            offlineSettings[setting] = options.offline[setting];
+          }
+        }
+        if(!offlineSettings.key) {
+          offlineSettings.key = "fluidinfo.offlineQueue";
+        }
+        if(!offlineSettings.storage) {
+          offlineSettings.storage = defaultQueueStorage(
+            offlineSettings.file || ".fluidinfo-queue.json");
+        }
+      }
+      if(options.logger) {
+        loggerSettings = {level: "info", sink: consoleLogSink};
+        if(typeof options.logger === "object") {
+          if(options.logger.level) {
+            loggerSettings.level = options.logger.level;
+          }
+          if(options.logger.sink) {
+            loggerSettings.sink = options.logger.sink;
+          }
+        }
+      }
+      if(options.cassette) {
+        cassetteSettings = {mode: options.cassette.mode,
+          file: options.cassette.file || null,
+          interactions: options.cassette.interactions, used: []};
+      }
       if((options.username != undefined) && (options.password != undefined)) {
-        authorizationToken = Base64.encode(options.username + ":" + options.password);
-        // Makes sure the logged in user's username is available via the
-        // username attribute
-        session.username = options.username;
+        useAuthProvider(basicAuth(options.username, options.password));
+      }
+      if(options.auth) {
+        useAuthProvider(authenticationProvider(options.auth));
       }
     }
 
@@ -114,6 +316,202 @@ var fluidinfo = function(options) {
       session.baseURL = "https://fluiddb.fluidinfo.com/";
     }
 
+    /**
+     * Given a value that may be a Promise (or any other "thenable") will call
+     * fn with the value once it is available.
+     *
+     * @param value The value or a Promise of it.
+     * @param fn {Function} Called with the value.
+     * @return The result of fn, or a Promise of it if value was a Promise.
+     */
+    function whenReady(value, fn) {
+      if(value && typeof value.then === "function") {
+        return value.then(fn);
+      }
+      return fn(value);
+    }
+
+    /**
+     * Returns the authentication provider used for username and password
+     * credentials: HTTP Basic authentication.
+     *
+     * @param username {string} The username.
+     * @param password {string} The password.
+     * @return {Object} The authentication provider.
+     */
+    function basicAuth(username, password) {
+      var token = Base64.encode(username + ":" + password);
+      return {
+        username: username,
+        secrets: [String(password), token],
+        authorize: function(request) {
+          request.headers["Authorization"] = "Basic " + token;
+        }
+      };
+    }
+
+    /**
+     * Returns the authentication provider that sends a bearer token in the
+     * Authorization header.
+     *
+     * @param settings {Object} The auth option: token is the token or a
+     * function that returns it (or a Promise of it), refresh an optional
+     * function called with the failed result that returns a new token (or a
+     * Promise of one).
+     * @return {Object} The authentication provider.
+     */
+    function bearerAuth(settings) {
+      var token = settings.token;
+      var provider = {
+        secrets: typeof token === "string" ? [token] : [],
+        authorize: function(request) {
+          var value = typeof token === "function" ? token(request) : token;
+          return whenReady(value, function(value) {
+            request.headers["Authorization"] = "Bearer " + value;
+          });
+        }
+      };
+      if(settings.refresh) {
+        provider.refresh = function(result, request) {
+          return whenReady(settings.refresh(result, request),
+            function(value) {
+              token = value;
+              secrets.push(String(value));
+              return true;
+            });
+        };
+      }
+      return provider;
+    }
+
+    /**
+     * Returns the authentication provider for OAuth Echo: Fluidinfo checks
+     * the credentials with the service provider (e.g. Twitter) on the
+     * session's behalf.
+     *
+     * @param settings {Object} The auth option: serviceProvider is the URL
+     * Fluidinfo should verify the credentials with, credentials the OAuth
+     * Authorization header signed for that URL or a function that returns
+     * it (or a Promise of it), e.g. by asking a server that knows the
+     * consumer secret to sign it.
+     * @return {Object} The authentication provider.
+     */
+    function oauthEchoAuth(settings) {
+      if(!settings.serviceProvider) {
+        throw new errors.ValueError("OAuth Echo needs a serviceProvider.");
+      }
+      return {
+        authorize: function(request) {
+          var credentials = settings.credentials;
+          if(typeof credentials === "function") {
+            credentials = credentials(request);
+          }
+          return whenReady(credentials, function(value) {
+            request.headers["X-Auth-Service-Provider"] =
+              settings.serviceProvider;
+            request.headers["X-Verify-Credentials-Authorization"] = value;
+          });
+        },
+        refresh: settings.refresh
+      };
+    }
+
+    /**
+     * Returns the authentication provider that delegates signing requests to
+     * a function, e.g. one that asks a server holding the credentials.
+     *
+     * @param settings {Object} The auth option: sign is a function called
+     * with the request that returns an object of headers to add to it (or a
+     * Promise of one).
+     * @return {Object} The authentication provider.
+     */
+    function delegatedAuth(settings) {
+      if(typeof settings.sign !== "function") {
+        throw new errors.ValueError("Delegated authentication needs a sign function.");
+      }
+      return {
+        authorize: function(request) {
+          return whenReady(settings.sign(request), function(signed) {
+            var header;
+            for(header in signed) {
+              if(typeof signed[header] !== "function") {
+                request.headers[header] = signed[header];
+              }
+            }
+          });
+        },
+        refresh: settings.refresh
+      };
+    }
+
+    /**
+     * Makes the session authenticate with the given provider.
+     *
+     * @param provider {Object} The authentication provider, null for
+     * anonymous access.
+     */
+    function useAuthProvider(provider) {
+      authProvider = provider;
+      // Makes sure the logged in user's username is available via the
+      // username attribute
+      session.username = provider ? provider.username : undefined;
+      // never let the credentials find their way into the logs
+      secrets = provider && provider.secrets ? provider.secrets.slice(0) : [];
+    }
+
+    /**
+     * Given the auth option passed to fluidinfo() will return the
+     * authentication provider to use. Providers are objects with an
+     * authorize function, called with each request (an object with method,
+     * url, path, headers and data attributes) to add credentials to its
+     * headers, and an optional refresh function, called with the failed
+     * result and the request when Fluidinfo rejects the credentials. Either
+     * may return a Promise to finish asynchronously. refresh should return
+     * (or resolve with) false if the credentials can't be refreshed.
+     *
+     * @param auth {Object} The auth option.
+     * @return {Object} The authentication provider.
+     */
+    function authenticationProvider(auth) {
+      if(typeof auth.authorize === "function") {
+        return auth;
+      }
+      switch(auth.type) {
+        case "basic":
+          return basicAuth(auth.username, auth.password);
+        case "bearer":
+          return bearerAuth(auth);
+        case "oauthEcho":
+          return oauthEchoAuth(auth);
+        case "delegated":
+          return delegatedAuth(auth);
+      }
+      throw new errors.ValueError("Unknown authentication provider: " + auth.type);
+    }
+
+    /**
+     * Given the name or URL of an instance will return its base URL.
+     *
+     * @param instance {string} Either "main", "sandbox" or the URL of a
+     * bespoke instance.
+     * @return {string} The base URL of the instance.
+     */
+    function instanceURL(instance) {
+      switch(instance.toLowerCase()) {
+        case "main":
+          return "https://fluiddb.fluidinfo.com/";
+        case "sandbox":
+          return "https://sandbox.fluidinfo.com/";
+      }
+      // validate the bespoke instance: a host name or bracketed IPv6
+      // address, an optional port and an optional path prefix
+      var urlRegex = /^(http|https):\/\/([\w\-_\.]+|\[[0-9a-fA-F:\.]+\])(:\d{1,5})?(\/[^\/\s?#]+)*\/$/;
+      if(!urlRegex.exec(instance)) {
+        throw new errors.ValueError("The URL must start with http[s]:// and have a trailing slash ('/') to be valid. E.g. https://localhost/ or http://localhost:9000/fluidinfo/");
+      }
+      return instance;
+    }
+
     /**
      * Magic voodoo used to identify an array (potentially a Fluidinfo set).
      * Taken from page 61 of Doug Crockford's "Javascript: The Good Parts".
@@ -135,12 +533,30 @@ var fluidinfo = function(options) {
      */
     function encodeURL(path) {
       var result = "";
+      var i;
       for(i=0; i<path.length; i++) {
-        result += "/" + encodeURIComponent(path[i]);
+        result += "/" + encodeComponent(path[i]);
       }
       return result.slice(1); // chops the leading slash
     };
 
+    /**
+     * Percent encodes a path segment or argument as UTF-8. Characters beyond
+     * the BMP must be complete surrogate pairs since a lone surrogate can't
+     * be represented in UTF-8.
+     *
+     * @param value {string} The value to encode.
+     * @return {string} The encoded value.
+     */
+    function encodeComponent(value) {
+      try {
+        return encodeURIComponent(value);
+      } catch(e) {
+        throw new errors.ValueError("Malformed Unicode (a lone surrogate) in: " +
+          value);
+      }
+    }
+
     /**
      * Checks the passed value to discover if it's a Fluidinfo "primitive"
      * type. See <a href="http://doc.fluidinfo.com/fluidDB/api/tag-values.html">
@@ -180,6 +596,24 @@ var fluidinfo = function(options) {
       return false;
     }
 
+    /**
+     * Checks the passed value to discover if it's binary data: an ArrayBuffer,
+     * a view of one (e.g. a Uint8Array or a Node Buffer) or a Blob.
+     *
+     * @param value A value that might be binary data.
+     * @return {boolean} An indication if the value is binary data.
+     */
+    function isBinary(value) {
+      if(value === null || value === undefined) {
+        return false;
+      }
+      if(typeof ArrayBuffer !== "undefined" &&
+        (value instanceof ArrayBuffer || ArrayBuffer.isView(value))) {
+        return true;
+      }
+      return typeof Blob !== "undefined" && value instanceof Blob;
+    }
+
     /**
      * Given the options describing a request, will return the most appropriate
      * MIME to set as the value for the Content-Type header
@@ -198,11 +632,16 @@ var fluidinfo = function(options) {
       if(options.type==="PUT" && (options.path.match("^objects\/") || options.path.match("^about\/"))) {
         if(options.contentType){
           result = options.contentType;
+        } else if (isBinary(options.data) && options.data.type) {
+          // Blobs know their own MIME type
+          result = options.data.type;
         } else if (isPrimitive(options.data)) {
           result = "application/vnd.fluiddb.value+json";
         } else {
-          throw { name: "ValueError", message: "Must supply Content-Type"};
+          throw new errors.ValueError("Must supply Content-Type");
         }
+      } else if (options.data && isBinary(options.data)) {
+        result = options.contentType || null;
       } else if (options.data) {
         // all other requests to the API that have payloads will be passing JSON
         result = "application/json";
@@ -234,10 +673,10 @@ var fluidinfo = function(options) {
               if(isArray(args[arg])) {
                 var j;
                 for(j=0; j<args[arg].length; j++) {
-                  result += "&" + encodeURIComponent(arg)+"="+encodeURIComponent(args[arg][j]);
+                  result += "&" + encodeComponent(arg)+"="+encodeComponent(args[arg][j]);
                 }
               } else {
-                result += "&"+encodeURIComponent(arg)+"="+encodeURIComponent(args[arg]);
+                result += "&"+encodeComponent(arg)+"="+encodeComponent(args[arg]);
               }
             }
         }
@@ -256,7 +695,7 @@ var fluidinfo = function(options) {
         "X-FluidDB-Path", "X-FluidDB-Message", "X-FluidDB-ObjectId",
         "X-FluidDB-Query", "X-FluidDB-Name", "X-FluidDB-Category",
         "X-FluidDB-Action", "X-FluidDB-Rangetype", "X-FluidDB-Fieldname",
-        "X-FluidDB-Type", "X-FluidDB-Argument"];
+        "X-FluidDB-Type", "X-FluidDB-Argument", "Retry-After"];
       var h = "";
       for(h in HEADERS){
         var header = HEADERS[h];
@@ -300,166 +739,2625 @@ var fluidinfo = function(options) {
     }
 
     /**
-     * Builds a simplified (nice to use) result object
-     * @param xhr {Object} the XmlHttpRequest instance from which to build the
-     * result.
-     */
-    function createNiceResult(xhr) {
-      // build a simple result object
-      var result = new Object();
-      result.status = xhr.status;
-      result.statusText = xhr.statusText;
-      result.headers = getHeaders(xhr);
-      result.rawData = xhr.responseText;
-      if(isJSONData(result.headers['Content-Type'])) {
-        result.data = JSON.parse(xhr.responseText);
-      } else {
-        result.data = xhr.responseText;
-      }
-      result.request = xhr;
-      return result;
-    }
-
-    /**
-     * Sends an appropriate XMLHTTPRequest based request to Fluidinfo.
-     * @param options {Object} An object containing the following named options:
-     * <dl>
-     *  <dt>type</dt>
-     *  <dd>The request's HTTP method. [GET, POST, PUT, DELETE or HEAD]</dd>
-     *  <dt>url</dt>
-     *  <dd>The full URL of the resource to which the request is made.</dd>
-     *  <dt>data</dt>
-     *  <dd>The body of data that may be the payload of the request (in the
-     *  case of POST and PUT requests).</dd>
-     *  <dt>async</dt>
-     *  <dd>Indicates if the request is to be asyncronous (default is true)</dd>
-     *  <dt>onSuccess</dt>
-     *  <dd>A function that takes the XHR request as an argument. Called upon
-     *  successful completion of the request.</dd>
-     *  <dt>onError</dt>
-     *  <dd>A function that takes the XHR request as an argument. Called when
-     *  the request resulted in an error.</dd>
-     * </dl>
+     * Sends a request using the browser's XMLHttpRequest object (or the
+     * ActiveXObject equivalent for older versions of IE).
      *
+     * @param request {Object} Describes the request to make (see
+     * sendRequest).
+     * @return {Object} The XHR instance (used to abort the request or as the
+     * response if the request is synchronous).
      */
-    function sendRequest(options) {
-      if(isArray(options.path)) {
-        options.path = encodeURL(options.path);
-      }
-      var method = options.type.toUpperCase() || "GET";
-      var args = createArgs(options.args);
-      var url = session.baseURL+options.path+args;
-      var async = true;
-      if (options.async !== undefined) {
-        async = options.async;
-      }
+    function xhrTransport(request) {
       var xhr = createXMLHTTPObject();
       if(!xhr) {
         return;
       }
-      xhr.open(method, url, async);
-      if(authorizationToken != ""){
-        xhr.setRequestHeader("Authorization", "Basic " + authorizationToken);
-      };
-      var contentType = detectContentType(options);
-      if(contentType) {
-        xhr.setRequestHeader("Content-Type", contentType);
-        if(isJSONData(contentType)) {
-          options.data = JSON.stringify(options.data);
+      xhr.open(request.method, request.url, request.async);
+      if(request.responseType && request.async) {
+        xhr.responseType = request.responseType;
+      }
+      var header;
+      for(header in request.headers) {
+        if(typeof request.headers[header] !== "function") {
+          xhr.setRequestHeader(header, request.headers[header]);
         }
       }
       xhr.onreadystatechange = function() {
         if(xhr.readyState != 4) return;
-        var result = createNiceResult(xhr);
-        // call the event handlers
-        if(xhr.status < 300 || xhr.status == 304) {
-          if(options.onSuccess){
-            options.onSuccess(result);
-          }
-        } else if (options.onError){
-          // there appears to be a problem
-          options.onError(result);
-        }
+        request.onComplete(xhr);
       }
-      xhr.send(options.data)
-      if(!async) {
-        var result = createNiceResult(xhr);
-        return result;
+      if(request.onProgress && request.async) {
+        var progress = function(direction) {
+          return function(e) {
+            request.onProgress(createProgressEvent(direction, e.loaded,
+              e.lengthComputable ? e.total : null));
+          };
+        };
+        xhr.onprogress = progress("download");
+        if(xhr.upload) {
+          xhr.upload.onprogress = progress("upload");
+        }
       }
+      xhr.send(request.data);
+      return xhr;
     }
 
     /**
-     * Contains functions to facilitate the calling of the Fluidinfo REST API.
+     * Builds the object passed to onProgress callbacks.
+     *
+     * @param direction {string} Either "upload" or "download".
+     * @param loaded {number} The number of bytes transferred so far.
+     * @param total {number} The total number of bytes to transfer or null if
+     * not known.
+     * @return {Object} An object with direction, loaded, total and
+     * lengthComputable attributes.
      */
-    var api = new Object();
+    function createProgressEvent(direction, loaded, total) {
+      var event = new Object();
+      event.direction = direction;
+      event.loaded = loaded;
+      event.total = (total === undefined) ? null : total;
+      event.lengthComputable = (event.total !== null);
+      return event;
+    }
 
     /**
-     * Makes an HTTP GET call to the Fluidinfo API
+     * Sends a request using Node's http/https modules. The response passed to
+     * request.onComplete mimics the parts of an XHR instance used by
+     * createNiceResult so the rest of the library needn't care which
+     * transport was used.
      *
+     * @param request {Object} Describes the request to make (see
+     * sendRequest).
+     * @return {Object} An object with an abort function to cancel the request.
      */
-    api.get = function(options){
-      options.type = "GET";
-      options.data = null;
-      return sendRequest(options);
+    function nodeTransport(request) {
+      if(!request.async) {
+        throw new errors.ValueError("Synchronous requests are not supported under Node.");
+      }
+      var url = new URL(request.url);
+      var client = require(url.protocol === "https:" ? "https" : "http");
+      var headers = new Object();
+      var header;
+      for(header in request.headers) {
+        if(typeof request.headers[header] !== "function") {
+          headers[header] = request.headers[header];
+        }
+      }
+      var req = null;
+      var aborted = false;
+      var completed = false;
+      /**
+       * Passes the response to request.onComplete unless the request has
+       * already completed or been aborted.
+       */
+      var complete = function(response) {
+        if(completed || aborted) return;
+        completed = true;
+        request.onComplete(response);
+      };
+      /**
+       * Reports a request that never reached Fluidinfo (or whose response was
+       * cut short), mirroring a failed XHR: a zero status and no headers.
+       */
+      var fail = function(e) {
+        complete({
+          status: 0,
+          statusText: e.message,
+          responseText: "",
+          getResponseHeader: function(name) {
+            return null;
+          },
+          error: e
+        });
+      };
+      /**
+       * Makes the request, sending the given body (a Buffer, or null).
+       */
+      var send = function(body) {
+        if(body) {
+          headers["Content-Length"] = body.length;
+        }
+        req = client.request({
+          method: request.method,
+          // IPv6 addresses are bracketed in URLs but not when connecting
+          hostname: url.hostname.replace(/^\[(.*)\]$/, "$1"),
+          port: url.port,
+          path: url.pathname + url.search,
+          headers: headers
+        }, function(res) {
+          var chunks = [];
+          var loaded = 0;
+          var total = res.headers["content-length"] ?
+            parseInt(res.headers["content-length"], 10) : null;
+          res.on("data", function(chunk) {
+            chunks.push(chunk);
+            loaded += chunk.length;
+            if(request.onProgress) {
+              request.onProgress(createProgressEvent("download", loaded, total));
+            }
+          });
+          var cutShort = function() {
+            fail(new Error("The connection closed before the response was complete."));
+          };
+          res.on("aborted", cutShort);
+          res.on("error", fail);
+          res.on("close", function() {
+            if(!completed) {
+              cutShort();
+            }
+          });
+          res.on("end", function() {
+            if(total !== null && loaded < total) {
+              // older versions of Node end truncated responses normally
+              cutShort();
+              return;
+            }
+            var bytes = Buffer.concat(chunks);
+            var responseText = "";
+            var binary = null;
+            if(request.responseType === "arraybuffer") {
+              binary = bytes.buffer.slice(bytes.byteOffset,
+                bytes.byteOffset + bytes.length);
+            } else if(request.responseType === "blob" &&
+              typeof Blob !== "undefined") {
+              binary = new Blob([bytes],
+                {type: res.headers["content-type"] || ""});
+            } else if(request.responseType) {
+              binary = bytes;
+            } else {
+              responseText = bytes.toString("utf8");
+            }
+            complete({
+              status: res.statusCode,
+              statusText: res.statusMessage,
+              responseText: responseText,
+              binary: binary,
+              getResponseHeader: function(name) {
+                var value = res.headers[name.toLowerCase()];
+                return value === undefined ? null : value;
+              },
+              response: res
+            });
+          });
+        });
+        req.on("error", fail);
+        if(body && request.onProgress) {
+          // write the body in chunks so the upload's progress can be reported
+          var CHUNK_SIZE = 65536;
+          var offset = 0;
+          var writeChunk = function() {
+            if(offset >= body.length) {
+              req.end();
+              return;
+            }
+            var chunk = body.slice(offset, offset + CHUNK_SIZE);
+            offset += chunk.length;
+            req.write(chunk, function() {
+              request.onProgress(createProgressEvent("upload", offset,
+                body.length));
+              writeChunk();
+            });
+          };
+          writeChunk();
+        } else {
+          if(body) {
+            req.write(body);
+          }
+          req.end();
+        }
+      };
+      if(typeof Blob !== "undefined" && request.data instanceof Blob) {
+        // a Blob's bytes can only be read asynchronously
+        request.data.arrayBuffer().then(function(data) {
+          if(!aborted) {
+            send(Buffer.from(data));
+          }
+        }, function(e) {
+          if(!aborted) {
+            fail(e);
+          }
+        });
+      } else if(request.data instanceof ArrayBuffer) {
+        send(Buffer.from(request.data));
+      } else if(isBinary(request.data)) {
+        send(Buffer.from(request.data.buffer, request.data.byteOffset,
+          request.data.byteLength));
+      } else if(request.data !== undefined && request.data !== null) {
+        send(Buffer.from(String(request.data), "utf8"));
+      } else {
+        send(null);
+      }
+      return {
+        abort: function() {
+          aborted = true;
+          if(req) {
+            req.destroy();
+          }
+        }
+      };
     }
 
     /**
-     * Makes an HTTP POST call to the Fluidinfo API
-     *
+     * Returns the most appropriate transport for the current environment:
+     * XMLHttpRequest (or ActiveXObject) in browsers, otherwise Node's
+     * http/https modules.
      */
-    api.post = function(options){
-      options.type = "POST";
-      return sendRequest(options);
+    function detectTransport() {
+      var hasXHR = (typeof XMLHttpRequest !== "undefined") ||
+        (typeof ActiveXObject !== "undefined");
+      if(!hasXHR && typeof require === "function") {
+        return nodeTransport;
+      }
+      return xhrTransport;
     }
 
     /**
-     * Makes an HTTP PUT call to the Fluidinfo API
+     * Makes sure a response passed back from a transport looks enough like an
+     * XHR instance for createNiceResult to process. This allows bespoke
+     * transports to simply return an object with a headers attribute.
      *
+     * @param response {Object} The response passed back by a transport.
+     * @return {Object} An object with an XHR-like getResponseHeader function.
      */
-    api.put = function(options){
-      options.type = "PUT";
-      return sendRequest(options);
+    function normaliseResponse(response) {
+      if(typeof response.getResponseHeader === "function") {
+        return response;
+      }
+      var headers = new Object();
+      var header;
+      for(header in response.headers) {
+        if(typeof response.headers[header] !== "function") {
+          headers[header.toLowerCase()] = response.headers[header];
+        }
+      }
+      response.getResponseHeader = function(name) {
+        var value = headers[name.toLowerCase()];
+        return value === undefined ? null : value;
+      };
+      if(response.responseText === undefined) {
+        response.responseText = "";
+      }
+      return response;
     }
 
     /**
-     * Makes an HTTP DELETE call to the Fluidinfo API
-     *
+     * Builds a simplified (nice to use) result object
+     * @param xhr {Object} the XmlHttpRequest instance from which to build the
+     * result.
+     * @param responseType {string} The type of binary response requested
+     * (e.g. "arraybuffer"), if any.
+     * @return {Object} The result, or a ServerError (with the result's
+     * attributes) if the JSON of a successful response can't be parsed.
      */
-    api.delete = function(options){
-      options.type = "DELETE";
-      options.data = null;
-      return sendRequest(options);
+    function createNiceResult(xhr, responseType) {
+      // build a simple result object
+      var result = new Object();
+      result.status = xhr.status;
+      result.statusText = xhr.statusText;
+      result.headers = getHeaders(xhr);
+      result.contentType = result.headers['Content-Type'];
+      if(responseType) {
+        // the raw bytes of an opaque value (XHR keeps them in response,
+        // other transports in binary)
+        result.rawData = xhr.binary !== undefined ? xhr.binary : xhr.response;
+        result.data = result.rawData;
+        result.request = xhr;
+        return result;
+      }
+      result.rawData = xhr.responseText;
+      result.request = xhr;
+      result.data = xhr.responseText;
+      if(isJSONData(result.headers['Content-Type'])) {
+        try {
+          result.data = JSON.parse(xhr.responseText);
+        } catch(e) {
+          // failed requests are still reported by their status
+          if(isSuccessful(result.status)) {
+            return new errors.ServerError("Unable to parse the response: " +
+              e.message, result);
+          }
+        }
+      }
+      return result;
     }
 
     /**
-     * Makes an HTTP HEAD call to the Fluidinfo API
+     * Given an HTTP status code will return a boolean indication if the
+     * request was successful. A status of zero means the request never
+     * completed (e.g. a network error) so is treated as a failure.
      *
+     * @param status {number} The HTTP status code of the response.
+     * @return {boolean} An indication if the request was successful.
      */
-    api.head = function(options){
-      options.type = "HEAD";
-      options.data = null;
-      return sendRequest(options);
+    function isSuccessful(status) {
+      return (status > 0 && status < 300) || status == 304;
     }
 
-    session.api = api;
+    /**
+     * Builds an error describing a request that failed before Fluidinfo could
+     * respond, e.g. because it timed out or was aborted.
+     *
+     * @param name {string} The name of the error (e.g. "TimeoutError").
+     * @param message {string} A human readable description of the error.
+     * @return {Object} An error that also has the attributes of a result
+     * from createNiceResult.
+     */
+    function createErrorResult(name, message) {
+      return new errors[name](message, {
+        status: 0,
+        statusText: "",
+        headers: new Object(),
+        rawData: "",
+        data: ""
+      });
+    }
 
     /**
-     * Easily gets results from Fluidinfo.
+     * Maps the value of the X-FluidDB-Error-Class header to the type of error
+     * to report.
      */
-    session.query = function(options) {
+    var ERROR_CLASSES = {
+      "TNonexistentTag": "NonexistentTag",
+      "TNonexistentNamespace": "NonexistentNamespace",
+      "TNoSuchUser": "NonexistentUser",
+      "TNonexistentUser": "NonexistentUser",
+      "TPathPermissionDenied": "PermissionDenied",
+      "TPermissionDenied": "PermissionDenied",
+      "TInvalidPath": "TagPathError",
+      "TNamespaceNotEmpty": "NamespaceNotEmpty",
+      "TNamespaceAlreadyExists": "NamespaceAlreadyExists",
+      "TTagAlreadyExists": "TagAlreadyExists",
+      "TUnauthorized": "AuthorizationError",
+      "TBadRequest": "ValueError",
+      "TParseError": "QueryError",
+      "TQueryParseError": "QueryError",
+      "TInternalError": "ServerError"
+    };
+
+    /**
+     * Given a result describing a failed request will return the appropriate
+     * typed error. The type is chosen using the X-FluidDB-Error-Class header
+     * returned by Fluidinfo, falling back to the status code.
+     *
+     * @param result {Object} The result built from Fluidinfo's response.
+     * @param request {Object} The request that failed.
+     * @return {Object} An error that also has the attributes of the result.
+     */
+    function createError(result, request) {
+      var errorClass = result.headers["X-FluidDB-Error-Class"];
+      var type = ERROR_CLASSES[errorClass];
+      if(!type) {
+        if(result.status === 0) {
+          type = "NetworkError";
+        } else if(result.status === 401) {
+          type = "AuthorizationError";
+        } else if(result.status === 403) {
+          type = "PermissionDenied";
+        } else if(result.status === 400) {
+          type = "ValueError";
+        } else if(result.status >= 500) {
+          type = "ServerError";
+        } else {
+          type = "FluidinfoError";
+        }
+      }
+      var message = result.headers["X-FluidDB-Message"];
+      if(!message) {
+        message = result.status + " " + result.statusText;
+        if(errorClass) {
+          message += " (" + errorClass + ")";
+        }
+        if(result.headers["X-FluidDB-Path"]) {
+          message += ": " + result.headers["X-FluidDB-Path"];
+        }
+      }
+      var error = new errors[type](message, result);
+      error.errorClass = errorClass;
+      error.path = result.headers["X-FluidDB-Path"];
+      error.method = request.method;
+      error.url = request.url;
+      return error;
+    }
+
+    /**
+     * The retry policy used when retries are enabled without specifying all
+     * of the policy's settings.
+     */
+    var DEFAULT_RETRY_POLICY = {
+      attempts: 3,
+      delay: 200,
+      factor: 2,
+      maxDelay: 10000,
+      jitter: 0.5,
+      methods: ["GET", "HEAD", "PUT", "DELETE"]
+    };
+
+    /**
+     * Works out the retry policy to apply to a request. The policy is taken
+     * from the request's retry option or, failing that, the session's. A value
+     * of true uses the default policy, an object overrides the default
+     * policy's settings and false disables retries.
+     *
+     * @param options {Object} The options describing the request.
+     * @param method {string} The request's HTTP method.
+     * @return {Object} The policy to apply or null if the request should not
+     * be retried.
+     */
+    function retryPolicy(options, method) {
+      var retry = session.retry;
+      if(options.retry !== undefined) {
+        retry = options.retry;
+      }
+      if(!retry) {
+        return null;
+      }
+      var policy = new Object();
+      var setting;
+      for(setting in DEFAULT_RETRY_POLICY) {
+        if(retry[setting] !== undefined) {
+          policy[setting] = retry[setting];
+        } else {
+          policy[setting] = DEFAULT_RETRY_POLICY[setting];
+        }
+      }
+      var i;
+      for(i=0; i<policy.methods.length; i++) {
+        if(policy.methods[i].toUpperCase() === method) {
+          return policy;
+        }
+      }
+      // non-idempotent methods are only retried if explicitly enabled
+      return null;
+    }
+
+    /**
+     * Given a failed result will return a boolean indication if Fluidinfo
+     * rejected the credentials (rather than refusing permission, which it
+     * also reports with a 401).
+     *
+     * @param result {Object} The result of the failed request.
+     * @return {boolean} An indication if the credentials were rejected.
+     */
+    function isRejectedCredentials(result) {
+      var errorClass = result.headers["X-FluidDB-Error-Class"];
+      return result.status === 401 && errorClass !== "TPathPermissionDenied" &&
+        errorClass !== "TPermissionDenied";
+    }
+
+    /**
+     * Given a failed result will return a boolean indication if the failure
+     * is likely to be transient and thus worth retrying. Network failures,
+     * timeouts, rate limiting and server errors are transient. Aborted
+     * requests and client errors are not.
+     *
+     * @param result {Object} The result of the failed request.
+     * @return {boolean} An indication if the request should be retried.
+     */
+    function isTransientFailure(result) {
+      if(result.status === 0) {
+        return result.name !== "AbortError";
+      }
+      return result.status === 429 || result.status >= 500;
+    }
+
+    /**
+     * Works out how many milliseconds to wait before retrying a request. The
+     * delay grows exponentially with each attempt, is randomly reduced by up
+     * to the policy's jitter fraction and honours any Retry-After header sent
+     * by Fluidinfo. It never exceeds the policy's maxDelay.
+     *
+     * @param policy {Object} The retry policy being applied.
+     * @param attempts {number} The number of attempts made so far.
+     * @param result {Object} The result of the last failed attempt.
+     * @return {number} The number of milliseconds to wait, or null if
+     * Fluidinfo's Retry-After asks for a longer wait than maxDelay allows (so
+     * the request mustn't be retried).
+     */
+    function retryDelay(policy, attempts, result) {
+      var delay = policy.delay * Math.pow(policy.factor, attempts - 1);
+      delay = delay - (delay * policy.jitter * Math.random());
+      var retryAfter = result.headers["Retry-After"];
+      if(retryAfter) {
+        var wait;
+        if(/^\d+$/.test(retryAfter)) {
+          wait = parseInt(retryAfter, 10) * 1000;
+        } else {
+          wait = Date.parse(retryAfter) - new Date().getTime();
+        }
+        if(!isNaN(wait) && wait > delay) {
+          if(wait > policy.maxDelay) {
+            // retrying any sooner would ignore Fluidinfo's request
+            return null;
+          }
+          delay = wait;
+        }
+      }
+      return Math.round(Math.min(delay, policy.maxDelay));
+    }
+
+    /**
+     * Returns an object through which interceptors are added to (use) and
+     * removed from (eject) the given list of interceptors.
+     *
+     * @param interceptors {Array} The list of interceptors to manage.
+     * @return {Object} An object with use and eject functions.
+     */
+    function interceptorRegistry(interceptors) {
+      var registry = new Object();
+      /**
+       * Adds an interceptor to the end of the chain.
+       *
+       * @param fn {Function} The interceptor.
+       * @return {number} An id that can be passed to eject.
+       */
+      registry.use = function(fn) {
+        if(typeof fn !== "function") {
+          throw new errors.ValueError("An interceptor must be a function.");
+        }
+        interceptors.push(fn);
+        return interceptors.length - 1;
+      };
+      /**
+       * Removes the interceptor with the given id from the chain.
+       *
+       * @param id {number} The id returned when the interceptor was added.
+       */
+      registry.eject = function(id) {
+        interceptors[id] = null;
+      };
+      return registry;
+    }
+
+    /**
+     * Passes a request through the request interceptors. Each interceptor is
+     * called with the request and may modify it in place or return a
+     * replacement. An interceptor may short-circuit the request by setting
+     * its response attribute to a transport-style response, in which case no
+     * further interceptors are called and nothing is sent to Fluidinfo.
+     *
+     * @param request {Object} The request about to be sent.
+     * @return {Object} The request to send.
+     */
+    function interceptRequest(request) {
+      var i;
+      for(i=0; i<requestInterceptors.length; i++) {
+        if(requestInterceptors[i]) {
+          var replacement = requestInterceptors[i](request);
+          if(replacement !== undefined) {
+            request = replacement;
+          }
+          if(request.response) {
+            break;
+          }
+        }
+      }
+      return request;
+    }
+
+    /**
+     * Passes a result through the response interceptors. Each interceptor is
+     * called with the result and the request that produced it and may modify
+     * the result in place or return a replacement.
+     *
+     * @param result {Object} The result built from Fluidinfo's response.
+     * @param request {Object} The request that produced the result.
+     * @return {Object} The result to pass to onSuccess or onError.
+     */
+    function interceptResponse(result, request) {
+      var i;
+      for(i=0; i<responseInterceptors.length; i++) {
+        if(responseInterceptors[i]) {
+          var replacement = responseInterceptors[i](result, request);
+          if(replacement !== undefined) {
+            result = replacement;
+          }
+        }
+      }
+      return result;
+    }
+
+    /**
+     * Given the Promise (if any) for a call to the library and the handle for
+     * the underlying request will return a handle whose abort function
+     * cancels that request.
+     *
+     * @param promise {Promise} The Promise to use as the handle, may be
+     * undefined.
+     * @param request {Object} The handle for the underlying request.
+     * @return {Object} The Promise (or a plain object) with an abort function.
+     */
+    function requestHandle(promise, request) {
+      var handle = promise || new Object();
+      handle.abort = function() {
+        if(request && typeof request.abort === "function") {
+          request.abort();
+        }
+      };
+      return handle;
+    }
+
+    /**
+     * Returns the default storage for the offline queue: localStorage in
+     * browsers, a JSON file under Node and memory if neither is available.
+     * Storage objects have localStorage style getItem and setItem functions.
+     *
+     * @param file {string} The path of the JSON file to use under Node.
+     * @return {Object} The storage object.
+     */
+    function defaultQueueStorage(file) {
+      if(typeof localStorage !== "undefined") {
+        return localStorage;
+      }
+      if(typeof require === "function") {
+        var fs = require("fs");
+        var read = function() {
+          try {
+            return JSON.parse(fs.readFileSync(file, "utf8"));
+          } catch(e) {
+            // a missing or corrupt file is an empty one
+            return new Object();
+          }
+        };
+        return {
+          getItem: function(key) {
+            var value = read()[key];
+            return value === undefined ? null : value;
+          },
+          setItem: function(key, value) {
+            var contents = read();
+            contents[key] = value;
+            fs.writeFileSync(file, JSON.stringify(contents));
+          }
+        };
+      }
+      var items = new Object();
+      return {
+        getItem: function(key) {
+          return items[key] === undefined ? null : items[key];
+        },
+        setItem: function(key, value) {
+          items[key] = value;
+        }
+      };
+    }
+
+    /**
+     * Checks the cassette settings and, when replaying, loads the recorded
+     * interactions from the cassette's file.
+     */
+    function loadCassette() {
+      var mode = cassetteSettings.mode;
+      if(mode !== "record" && mode !== "replay") {
+        throw new errors.ValueError("The cassette mode must be \"record\" or \"replay\".");
+      }
+      if(mode === "record") {
+        cassetteSettings.interactions = [];
+        return;
+      }
+      if(cassetteSettings.file) {
+        try {
+          var contents = require("fs").readFileSync(cassetteSettings.file,
+            "utf8");
+          cassetteSettings.interactions = JSON.parse(contents).interactions;
+        } catch(e) {
+          throw new errors.ValueError("Unable to read the cassette " +
+            cassetteSettings.file + ": " + e.message);
+        }
+      }
+      if(!isArray(cassetteSettings.interactions)) {
+        throw new errors.ValueError("A cassette to replay needs a file or interactions.");
+      }
+    }
+
+    /**
+     * Adds a request and the response it received to the cassette, saving
+     * the cassette's file (if it has one).
+     *
+     * @param request {Object} The request that was sent.
+     * @param response {Object} The response from the transport.
+     */
+    function recordInteraction(request, response) {
+      cassetteSettings.interactions.push({
+        request: {method: request.method, url: request.url,
+          data: request.data === undefined ? null : request.data},
+        response: {status: response.status, statusText: response.statusText,
+          headers: getHeaders(response), responseText: response.responseText}
+      });
+      if(cassetteSettings.file) {
+        require("fs").writeFileSync(cassetteSettings.file,
+          JSON.stringify({interactions: cassetteSettings.interactions}, null,
+          2));
+      }
+    }
+
+    /**
+     * Finds the first recorded interaction that matches the request and has
+     * not been replayed yet.
+     *
+     * @param request {Object} The request about to be sent.
+     * @return {Object} A transport-style copy of the recorded response, or
+     * null if there isn't one.
+     */
+    function replayInteraction(request) {
+      var interactions = cassetteSettings.interactions;
+      var data = request.data === undefined ? null : request.data;
+      var i;
+      for(i=0; i<interactions.length; i++) {
+        var recorded = interactions[i];
+        if(!cassetteSettings.used[i] &&
+          recorded.request.method === request.method &&
+          recorded.request.url === request.url &&
+          recorded.request.data === data) {
+          cassetteSettings.used[i] = true;
+          var headers = new Object();
+          var header;
+          for(header in recorded.response.headers) {
+            headers[header] = recorded.response.headers[header];
+          }
+          return {status: recorded.response.status,
+            statusText: recorded.response.statusText, headers: headers,
+            responseText: recorded.response.responseText};
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Returns a boolean indication if the browser knows it is offline.
+     */
+    function isOffline() {
+      return typeof navigator !== "undefined" && navigator.onLine === false;
+    }
+
+    /**
+     * Loads any queued requests persisted by an earlier session.
+     */
+    function loadOfflineQueue() {
+      var stored = offlineSettings.storage.getItem(offlineSettings.key);
+      if(stored) {
+        try {
+          offlineQueue = JSON.parse(stored);
+        } catch(e) {
+          offlineQueue = [];
+        }
+      }
+    }
+
+    /**
+     * Persists the queued requests so they survive the session.
+     */
+    function saveOfflineQueue() {
+      offlineSettings.storage.setItem(offlineSettings.key,
+        JSON.stringify(offlineQueue));
+    }
+
+    /**
+     * Adds a request to the end of the offline queue, recording the username
+     * of the user who queued it (null if anonymous).
+     *
+     * @param entry {Object} Describes the request with method, path, args,
+     * data and contentType attributes.
+     * @param callbacks {Object} The onSuccess and onError functions to call
+     * when the request is replayed.
+     * @return {Object} The queued entry.
+     */
+    function enqueue(entry, callbacks) {
+      entry.id = new Date().getTime() + "-" + Math.random().toString(36).slice(2);
+      entry.queuedAt = new Date().toUTCString();
+      entry.username = session.username || null;
+      offlineQueue.push(entry);
+      offlineCallbacks[entry.id] = callbacks;
+      saveOfflineQueue();
+      return entry;
+    }
+
+    /**
+     * Returns a boolean indication if an entry is still in the offline queue.
+     *
+     * @param entry {Object} The entry.
+     * @return {boolean} An indication if the entry is queued.
+     */
+    function isQueued(entry) {
+      var i;
+      for(i=0; i<offlineQueue.length; i++) {
+        if(offlineQueue[i].id === entry.id) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    /**
+     * Removes an entry from the offline queue.
+     *
+     * @param entry {Object} The entry to remove.
+     */
+    function dequeue(entry) {
+      var i;
+      for(i=0; i<offlineQueue.length; i++) {
+        if(offlineQueue[i].id === entry.id) {
+          offlineQueue.splice(i, 1);
+          break;
+        }
+      }
+      delete offlineCallbacks[entry.id];
+      saveOfflineQueue();
+    }
+
+    /**
+     * Returns the queued entries of the session's current user. Those queued
+     * by anyone else (perhaps in an earlier session sharing the storage) are
+     * held back until that user signs in again.
+     *
+     * @return {Array} The entries, in the order they will be replayed.
+     */
+    function ownQueuedEntries() {
+      var username = session.username || null;
+      var result = [];
+      var i;
+      for(i=0; i<offlineQueue.length; i++) {
+        if((offlineQueue[i].username || null) === username) {
+          result.push(offlineQueue[i]);
+        }
+      }
+      return result;
+    }
+
+    /**
+     * Replays the current user's queued requests in order, one at a time
+     * (see ownQueuedEntries). Replaying stops
+     * (leaving the remaining entries queued) as soon as a request fails
+     * because Fluidinfo still can't be reached. Any other result removes the
+     * entry from the queue and is reported to the entry's callbacks and the
+     * session's onReplay, onReplayError and onConflict functions.
+     */
+    function replayOfflineQueue() {
+      if(!offlineSettings || replaying) {
+        return;
+      }
+      var entries = ownQueuedEntries();
+      if(entries.length === 0) {
+        return;
+      }
+      var entry = entries[0];
+      var callbacks = offlineCallbacks[entry.id] || new Object();
+      var current = {entry: entry, handle: null};
+      replaying = current;
+      current.handle = sendRequest({type: entry.method, path: entry.path,
+        args: entry.args, data: entry.data, contentType: entry.contentType,
+        offline: false,
+        onSuccess: function(result) {
+          replaying = null;
+          if(!isQueued(entry)) {
+            // the caller aborted or the queue was cleared meanwhile
+            replayOfflineQueue();
+            return;
+          }
+          dequeue(entry);
+          if(offlineSettings.onReplay) {
+            offlineSettings.onReplay(entry, result);
+          }
+          if(callbacks.onSuccess) {
+            callbacks.onSuccess(result);
+          }
+          replayOfflineQueue();
+        },
+        onError: function(error) {
+          replaying = null;
+          if(!isQueued(entry)) {
+            replayOfflineQueue();
+            return;
+          }
+          if(error instanceof errors.NetworkError) {
+            // still offline so try again later
+            return;
+          }
+          dequeue(entry);
+          if((error.status === 409 || error.status === 412) &&
+            offlineSettings.onConflict) {
+            offlineSettings.onConflict(entry, error);
+          }
+          if(offlineSettings.onReplayError) {
+            offlineSettings.onReplayError(entry, error);
+          }
+          if(callbacks.onError) {
+            callbacks.onError(error);
+          }
+          replayOfflineQueue();
+        }});
+    }
+
+    /**
+     * Returns a cache storage object that keeps cached responses in memory.
+     * Other storage objects must provide the same get, set, remove and keys
+     * functions.
+     */
+    function memoryCacheStorage() {
+      var entries = new Object();
+      return {
+        get: function(key) {
+          return entries.hasOwnProperty(key) ? entries[key] : null;
+        },
+        set: function(key, value) {
+          entries[key] = value;
+        },
+        remove: function(key) {
+          delete entries[key];
+        },
+        keys: function() {
+          var result = [];
+          var key;
+          for(key in entries) {
+            if(entries.hasOwnProperty(key)) {
+              result.push(key);
+            }
+          }
+          return result;
+        }
+      };
+    }
+
+    /**
+     * Given the value of a Cache-Control header will return the number of
+     * milliseconds for which the response may be cached.
+     *
+     * @param cacheControl {string} The value of the Cache-Control header.
+     * @return {number} The number of milliseconds (zero if the response
+     * mustn't be cached).
+     */
+    function cacheLifetime(cacheControl) {
+      if(!cacheControl || /no-store|no-cache/.test(cacheControl)) {
+        return 0;
+      }
+      var maxAge = /max-age=(\d+)/.exec(cacheControl);
+      if(maxAge) {
+        return parseInt(maxAge[1], 10) * 1000;
+      }
+      return 0;
+    }
+
+    /**
+     * Returns the cached response for the given request or null if there is
+     * no fresh response in the cache.
+     *
+     * @param request {Object} The request about to be sent.
+     * @return {Object} A transport-style response or null.
+     */
+    function cachedResponse(request) {
+      var key = request.method + " " + request.url;
+      var entry = cacheStorage.get(key);
+      if(!entry) {
+        return null;
+      }
+      if(entry.expires <= new Date().getTime()) {
+        cacheStorage.remove(key);
+        return null;
+      }
+      return {status: entry.status, statusText: entry.statusText,
+        headers: entry.headers, responseText: entry.responseText};
+    }
+
+    /**
+     * Stores the response to the given request in the cache if its
+     * Cache-Control header allows.
+     *
+     * @param request {Object} The request that was sent.
+     * @param path {string} The path of the resource requested.
+     * @param response {Object} The (normalised) response from the transport.
+     */
+    function cacheResponse(request, path, response) {
+      if(response.status !== 200) {
+        return;
+      }
+      var headers = getHeaders(response);
+      var lifetime = cacheLifetime(headers["Cache-Control"]);
+      if(lifetime > 0) {
+        cacheStorage.set(request.method + " " + request.url, {
+          path: path,
+          status: response.status,
+          statusText: response.statusText,
+          headers: headers,
+          responseText: response.responseText,
+          expires: new Date().getTime() + lifetime
+        });
+      }
+    }
+
+    /**
+     * Removes the cached responses affected by a change to the resource at
+     * the given path: those for the resource itself, its ancestors and its
+     * descendants along with any queries to /values. A change made via
+     * /values could affect any object so also invalidates everything cached
+     * from /objects and /about.
+     *
+     * @param path {string} The path of the resource that has changed.
+     */
+    function invalidateCache(path) {
+      if(!cacheStorage) {
+        return;
+      }
+      if(isArray(path)) {
+        path = encodeURL(path);
+      }
+      path = path.split("?")[0].replace(/^\/+|\/+$/g, "");
+      var keys = cacheStorage.keys();
+      var i;
+      for(i=0; i<keys.length; i++) {
+        var entry = cacheStorage.get(keys[i]);
+        if(!entry) {
+          continue;
+        }
+        var cachedPath = entry.path;
+        var affected = cachedPath === path ||
+          cachedPath.indexOf(path + "/") === 0 ||
+          path.indexOf(cachedPath + "/") === 0 ||
+          cachedPath === "values";
+        if(path === "values") {
+          affected = affected || cachedPath.indexOf("objects/") === 0 ||
+            cachedPath.indexOf("about/") === 0;
+        }
+        if(affected) {
+          cacheStorage.remove(keys[i]);
+        }
+      }
+    }
+
+    /**
+     * Calls the functions listening for the given event on the session with
+     * the remaining arguments.
+     *
+     * @param event {string} The name of the event.
+     */
+    function emit(event) {
+      var listeners = eventListeners[event];
+      if(!listeners) {
+        return;
+      }
+      var args = Array.prototype.slice.call(arguments, 1);
+      listeners = listeners.slice(0);
+      var i;
+      for(i=0; i<listeners.length; i++) {
+        listeners[i].apply(session, args);
+      }
+    }
+
+    /**
+     * The logging levels in order of severity.
+     */
+    var LOG_LEVELS = {debug: 0, info: 1, warn: 2, error: 3};
+
+    /**
+     * The default sink for log messages: the console.
+     *
+     * @param level {string} The level of the message.
+     * @param message {string} The message.
+     * @param details {Object} Further details about the request.
+     */
+    function consoleLogSink(level, message, details) {
+      if(typeof console === "undefined") {
+        return;
+      }
+      var method = console[level] ? level : "log";
+      console[method]("fluidinfo.js: " + message, details);
+    }
+
+    /**
+     * Replaces the session's password (and the token derived from it) in the
+     * given value with "[REDACTED]".
+     *
+     * @param value A value that might contain credentials.
+     * @return The value with the credentials removed.
+     */
+    function redact(value) {
+      if(typeof value !== "string") {
+        return value;
+      }
+      var i;
+      for(i=0; i<secrets.length; i++) {
+        if(secrets[i]) {
+          value = value.split(secrets[i]).join("[REDACTED]");
+        }
+      }
+      return value;
+    }
+
+    /**
+     * Returns a copy of the given headers that is safe to log.
+     *
+     * @param headers {Object} The request or response headers.
+     * @return {Object} The headers with any credentials redacted.
+     */
+    function redactHeaders(headers) {
+      var result = new Object();
+      var header;
+      for(header in headers) {
+        if(typeof headers[header] !== "function") {
+          if(header.toLowerCase().indexOf("authorization") !== -1) {
+            result[header] = "[REDACTED]";
+          } else {
+            result[header] = redact(String(headers[header]));
+          }
+        }
+      }
+      return result;
+    }
+
+    /**
+     * Sends a message to the logger's sink if the session logs messages of
+     * the given level.
+     *
+     * @param level {string} The level of the message.
+     * @param message {string} The message.
+     * @param details {Object} Further details about the request.
+     */
+    function log(level, message, details) {
+      if(!loggerSettings ||
+        LOG_LEVELS[level] < LOG_LEVELS[loggerSettings.level]) {
+        return;
+      }
+      loggerSettings.sink(level, redact(message), details);
+    }
+
+    /**
+     * Builds the details logged about a request and its result.
+     *
+     * @param request {Object} The request.
+     * @param result {Object} The result of the request, if any.
+     * @return {Object} The details with any credentials redacted.
+     */
+    function logDetails(request, result) {
+      var details = {method: request.method, url: redact(request.url),
+        headers: redactHeaders(request.headers)};
+      if(result) {
+        details.status = result.status;
+        details.duration = result.duration;
+        var fluidinfoHeaders = new Object();
+        var header;
+        for(header in result.headers) {
+          if(header.indexOf("X-FluidDB-") === 0) {
+            fluidinfoHeaders[header] = redact(result.headers[header]);
+          }
+        }
+        details.fluidinfoHeaders = fluidinfoHeaders;
+      }
+      return details;
+    }
+
+    /**
+     * Logs the session's requests by listening to its events.
+     */
+    function startLogging() {
+      if(LOG_LEVELS[loggerSettings.level] === undefined) {
+        throw new errors.ValueError("Unknown log level: " + loggerSettings.level);
+      }
+      session.on("request", function(request) {
+        log("debug", request.method + " " + request.url,
+          logDetails(request));
+      });
+      session.on("response", function(result, request) {
+        log("info", request.method + " " + request.url + " " +
+          result.status + " (" + result.duration + "ms)",
+          logDetails(request, result));
+      });
+      session.on("retry", function(result, request, retry) {
+        log("warn", request.method + " " + request.url + " " +
+          result.status + " retrying in " + retry.delay + "ms (attempt " +
+          retry.attempt + ")", logDetails(request, result));
+      });
+      session.on("error", function(error, request) {
+        var message = request.method + " " + request.url + " " +
+          error.status + " (" + error.duration + "ms) " + error.name;
+        if(error.errorClass) {
+          message += " " + error.errorClass;
+        }
+        if(error.path) {
+          message += " " + error.path;
+        }
+        log("error", message, logDetails(request, error));
+      });
+    }
+
+    /**
+     * Returns the size in bytes of a request or response body.
+     *
+     * @param value The body (a string or binary data).
+     * @return {number} The size in bytes.
+     */
+    function payloadSize(value) {
+      if(value === null || value === undefined) {
+        return 0;
+      }
+      if(isBinary(value)) {
+        return value.byteLength !== undefined ? value.byteLength : value.size;
+      }
+      // count the bytes the string occupies once UTF-8 encoded
+      return unescape(encodeURIComponent(String(value))).length;
+    }
+
+    /**
+     * Records the latency, payload sizes and outcome of a request against
+     * its endpoint family (the first element of its path, e.g. "values" or
+     * "namespaces") and method.
+     *
+     * @param request {Object} The request.
+     * @param result {Object} The result or error.
+     * @param failed {boolean} An indication if the request failed.
+     */
+    function recordStatistics(request, result, failed) {
+      if(result.cached || result.name === "AbortError") {
+        // neither tells us anything about Fluidinfo
+        return;
+      }
+      var family = String(request.path).replace(/^\/+/, "").split(/[\/?]/)[0];
+      if(!statistics[family]) {
+        statistics[family] = new Object();
+      }
+      var entry = statistics[family][request.method];
+      if(!entry) {
+        entry = {count: 0, errors: 0, totalDuration: 0, minDuration: null,
+          maxDuration: null, bytesSent: 0, bytesReceived: 0};
+        statistics[family][request.method] = entry;
+      }
+      entry.count++;
+      if(failed) {
+        entry.errors++;
+      }
+      entry.totalDuration += result.duration;
+      if(entry.minDuration === null || result.duration < entry.minDuration) {
+        entry.minDuration = result.duration;
+      }
+      if(entry.maxDuration === null || result.duration > entry.maxDuration) {
+        entry.maxDuration = result.duration;
+      }
+      entry.bytesSent += payloadSize(request.data);
+      if(result.headers && result.headers["Content-Length"]) {
+        entry.bytesReceived += parseInt(result.headers["Content-Length"], 10);
+      } else {
+        entry.bytesReceived += payloadSize(result.rawData);
+      }
+    }
+
+    /**
+     * Schedules a job (the sending of a request) to start as soon as the
+     * number of requests in flight is below the session's
+     * maxConcurrentRequests. Waiting jobs are ordered by priority (highest
+     * first) and then by the order in which they were scheduled.
+     *
+     * @param priority {number} The job's priority.
+     * @param start {Function} Called with the job when it may start.
+     * @return {Object} The job, to be passed to finishJob once the request
+     * has completed or been cancelled.
+     */
+    function scheduleJob(priority, start) {
+      var job = {priority: priority, start: start, started: false,
+        finished: false};
+      var limit = session.maxConcurrentRequests;
+      if(!limit || activeJobs < limit) {
+        startJob(job);
+      } else {
+        var i = scheduledJobs.length;
+        while(i > 0 && scheduledJobs[i-1].priority < priority) {
+          i--;
+        }
+        scheduledJobs.splice(i, 0, job);
+      }
+      return job;
+    }
+
+    /**
+     * Starts a scheduled job.
+     *
+     * @param job {Object} The job to start.
+     */
+    function startJob(job) {
+      job.started = true;
+      activeJobs++;
+      try {
+        job.start(job);
+      } catch(e) {
+        // don't let a job that failed to start hold on to its place
+        finishJob(job);
+        throw e;
+      }
+    }
+
+    /**
+     * Marks a job as finished, freeing its place for the next waiting job (or
+     * removing it from the queue if it never started). Calls the drain
+     * listeners once there is nothing waiting or in flight.
+     *
+     * @param job {Object} The job returned by scheduleJob.
+     */
+    function finishJob(job) {
+      if(!job || job.finished) {
+        return;
+      }
+      job.finished = true;
+      if(job.started) {
+        activeJobs--;
+      } else {
+        var i;
+        for(i=0; i<scheduledJobs.length; i++) {
+          if(scheduledJobs[i] === job) {
+            scheduledJobs.splice(i, 1);
+            break;
+          }
+        }
+      }
+      var limit = session.maxConcurrentRequests;
+      while(scheduledJobs.length > 0 && (!limit || activeJobs < limit)) {
+        startJob(scheduledJobs.shift());
+      }
+      if(activeJobs === 0 && scheduledJobs.length === 0) {
+        var listeners = drainListeners.slice(0);
+        for(i=0; i<listeners.length; i++) {
+          listeners[i]();
+        }
+      }
+    }
+
+    /**
+     * Chooses the endpoint to send a request to. Writes go to the first
+     * healthy endpoint (the primary unless it is down) and reads take turns
+     * between the healthy endpoints. The primary is tried if no endpoint is
+     * known to be healthy.
+     *
+     * @param isRead {boolean} An indication if the request is a read.
+     * @return {Object} The endpoint.
+     */
+    function selectEndpoint(isRead) {
+      var healthy = [];
+      var i;
+      for(i=0; i<endpoints.length; i++) {
+        if(endpoints[i].healthy) {
+          healthy.push(endpoints[i]);
+        }
+      }
+      if(healthy.length === 0) {
+        return endpoints[0];
+      }
+      if(!isRead) {
+        return healthy[0];
+      }
+      nextRead++;
+      return healthy[(nextRead - 1) % healthy.length];
+    }
+
+    /**
+     * Given a response or result will return a boolean indication if the
+     * endpoint that was sent the request has stopped responding: the request
+     * never reached it or timed out, or a gateway in front of it reported it
+     * unavailable.
+     *
+     * @param result {Object} The response or result.
+     * @return {boolean} An indication if the endpoint should be failed over.
+     */
+    function isEndpointFailure(result) {
+      if(result.status === 0) {
+        return result.name !== "AbortError";
+      }
+      return result.status === 502 || result.status === 503 ||
+        result.status === 504;
+    }
+
+    /**
+     * Records the health of an endpoint.
+     *
+     * @param endpoint {Object} The endpoint.
+     * @param healthy {boolean} An indication if the endpoint is healthy.
+     */
+    function setEndpointHealth(endpoint, healthy) {
+      endpoint.healthy = healthy;
+      endpoint.lastChecked = new Date().getTime();
+    }
+
+    /**
+     * Checks an endpoint is healthy by GETting the health check path. The
+     * endpoint is unhealthy if the request fails, times out or results in a
+     * 5xx response.
+     *
+     * @param endpoint {Object} The endpoint to check.
+     * @param onChecked {Function} Called once the endpoint has been checked.
+     */
+    function checkEndpoint(endpoint, onChecked) {
+      var checked = false;
+      var timer = null;
+      var done = function(healthy) {
+        if(checked) return;
+        checked = true;
+        clearTimeout(timer);
+        setEndpointHealth(endpoint, healthy);
+        onChecked();
+      };
+      var headers = new Object();
+      var name;
+      for(name in session.headers) {
+        if(typeof session.headers[name] !== "function") {
+          headers[name] = session.headers[name];
+        }
+      }
+      var handle = transport({method: "GET",
+        url: endpoint.url + healthSettings.path, headers: headers,
+        data: undefined, async: true,
+        onComplete: function(response) {
+          done(response.status > 0 && response.status < 500);
+        }});
+      if(!checked) {
+        timer = setTimeout(function() {
+          if(handle && typeof handle.abort === "function") {
+            handle.abort();
+          }
+          done(false);
+        }, healthSettings.timeout);
+      }
+    }
+
+    /**
+     * Checks the health of every endpoint.
+     *
+     * @param onChecked {Function} Called once every endpoint has been
+     * checked.
+     */
+    function checkEndpoints(onChecked) {
+      var remaining = endpoints.length;
+      if(remaining === 0 && onChecked) {
+        onChecked();
+      }
+      var i;
+      for(i=0; i<endpoints.length; i++) {
+        checkEndpoint(endpoints[i], function() {
+          remaining--;
+          if(remaining === 0 && onChecked) {
+            onChecked();
+          }
+        });
+      }
+    }
+
+    /**
+     * Works out the health check settings and, unless they are disabled,
+     * starts checking the endpoints periodically.
+     */
+    function startHealthChecks() {
+      var settings = {interval: 30000, path: "users/fluiddb", timeout: 5000};
+      var periodic = healthSettings !== false;
+      if(typeof healthSettings === "object") {
+        var setting;
+        for(setting in settings) {
+          if(healthSettings[setting] !== undefined) {
+            settings[setting] = healthSettings[setting];
+          }
+        }
+      }
+      healthSettings = settings;
+      if(periodic) {
+        healthTimer = setInterval(checkEndpoints, settings.interval);
+        // don't keep Node processes alive just to check the endpoints
+        if(healthTimer && typeof healthTimer.unref === "function") {
+          healthTimer.unref();
+        }
+      }
+    }
+
+    /**
+     * Sends a request through the transport once the scheduler allows,
+     * passing the response to the given subscriber. Requests with a key join
+     * a call already in flight with the same key (if there is one) so that
+     * identical reads share a single network call.
+     *
+     * @param key {string} Identifies requests that may share a call, or null
+     * if the request must have a call of its own.
+     * @param request {Object} The request to send.
+     * @param priority {number} The priority of the call's job.
+     * @param responseType {string} The responseType to pass to the transport.
+     * @param subscriber {Object} An object with an onComplete function
+     * (passed the response) and optional onStart (called when the request is
+     * sent) and onProgress functions.
+     * @return {Object} An object with an abort function that unsubscribes
+     * from the call, cancelling it if nobody else is waiting on it.
+     */
+    function callTransport(key, request, priority, responseType, subscriber) {
+      var call = null;
+      if(key && sharedCalls.hasOwnProperty(key)) {
+        call = sharedCalls[key];
+        call.subscribers.push(subscriber);
+        if(call.started && subscriber.onStart) {
+          subscriber.onStart();
+        }
+      } else {
+        call = {key: key, request: request, subscribers: [subscriber],
+          started: false, finished: false, job: null, handle: null};
+        if(key) {
+          sharedCalls[key] = call;
+        }
+        call.job = scheduleJob(priority, function(job) {
+          // the job is needed before scheduleJob returns if the transport
+          // completes the request straight away
+          call.job = job;
+          startCall(call, request, responseType);
+        });
+      }
+      return {
+        abort: function() {
+          leaveCall(call, subscriber);
+        }
+      };
+    }
+
+    /**
+     * Hands a call's request to the transport, fanning the progress events
+     * and the response out to everyone subscribed to the call. Progress is
+     * only tracked if a subscriber wants it when the call starts.
+     *
+     * @param call {Object} The call created by callTransport.
+     * @param request {Object} The request to send.
+     * @param responseType {string} The responseType to pass to the transport.
+     */
+    function startCall(call, request, responseType) {
+      call.started = true;
+      var subscribers = call.subscribers.slice(0);
+      var i;
+      for(i=0; i<subscribers.length; i++) {
+        if(subscribers[i].onStart) {
+          subscribers[i].onStart();
+        }
+      }
+      var onComplete = function(response) {
+        if(call.finished) return;
+        endCall(call);
+        var subscribers = call.subscribers;
+        call.subscribers = [];
+        notifySubscribers(subscribers, "onComplete", response);
+      };
+      // transports only track progress when asked to since doing so has a
+      // cost (e.g. upload listeners make browsers send a CORS preflight)
+      var onProgress = undefined;
+      for(i=0; i<subscribers.length; i++) {
+        if(subscribers[i].onProgress) {
+          onProgress = function(event) {
+            notifySubscribers(call.subscribers.slice(0), "onProgress", event);
+          };
+          break;
+        }
+      }
+      try {
+        call.handle = transport({method: request.method, url: request.url,
+          headers: request.headers, data: request.data, async: true,
+          responseType: responseType, onProgress: onProgress,
+          onComplete: onComplete});
+      } catch(e) {
+        // a transport that throws is treated like a request that never
+        // reached Fluidinfo so the call doesn't linger in sharedCalls
+        onComplete({status: 0, statusText: e && e.message ? e.message :
+          String(e), responseText: "", headers: new Object(), error: e});
+      }
+    }
+
+    /**
+     * Calls the named function of each subscriber to a call. Every subscriber
+     * is called even if an earlier one throws (e.g. from a user's onSuccess)
+     * and the exception is rethrown afterwards so it isn't swallowed.
+     *
+     * @param subscribers {Array} The subscribers to notify.
+     * @param name {string} The name of the function to call.
+     * @param value The value to pass to the function.
+     */
+    function notifySubscribers(subscribers, name, value) {
+      var i;
+      for(i=0; i<subscribers.length; i++) {
+        if(subscribers[i][name]) {
+          try {
+            subscribers[i][name](value);
+          } catch(e) {
+            setTimeout(function() {
+              throw e;
+            }, 0);
+          }
+        }
+      }
+    }
+
+    /**
+     * Marks a call as finished so that later requests no longer join it.
+     *
+     * @param call {Object} The call created by callTransport.
+     */
+    function endCall(call) {
+      call.finished = true;
+      if(call.key && sharedCalls[call.key] === call) {
+        delete sharedCalls[call.key];
+      }
+      finishJob(call.job);
+    }
+
+    /**
+     * Unsubscribes from a call, cancelling the call once nobody is waiting on
+     * it any more.
+     *
+     * @param call {Object} The call created by callTransport.
+     * @param subscriber {Object} The subscriber passed to callTransport.
+     */
+    function leaveCall(call, subscriber) {
+      var i;
+      for(i=0; i<call.subscribers.length; i++) {
+        if(call.subscribers[i] === subscriber) {
+          call.subscribers.splice(i, 1);
+          break;
+        }
+      }
+      if(call.subscribers.length === 0 && !call.finished) {
+        endCall(call);
+        if(call.handle && typeof call.handle.abort === "function") {
+          call.handle.abort();
+        }
+      }
+    }
+
+    /**
+     * Wraps the onSuccess and onError callbacks found in options so that they
+     * also settle a Promise with the result. Callbacks given by the user are
+     * still called so existing code keeps working.
+     *
+     * @param options {Object} The options passed into a call to the library.
+     * @return {Promise} A Promise that resolves with the result passed to
+     * onSuccess or rejects with the result passed to onError. Undefined if the
+     * environment doesn't support Promises.
+     */
+    function promiseCallbacks(options) {
+      if(typeof Promise === "undefined") {
+        return undefined;
+      }
+      var onSuccess = options.onSuccess;
+      var onError = options.onError;
+      var promise = new Promise(function(resolve, reject) {
+        options.onSuccess = function(result) {
+          resolve(result);
+          if(onSuccess) {
+            onSuccess(result);
+          }
+        };
+        options.onError = function(result) {
+          reject(result);
+          if(onError) {
+            onError(result);
+          }
+        };
+      });
+      // callback based code shouldn't be troubled by unhandled rejections
+      promise["catch"](function() {});
+      return promise;
+    }
+
+    /**
+     * Sends an appropriate request to Fluidinfo using the session's transport.
+     * Building the URL, headers and payload and processing the response are
+     * shared by all transports.
+     * @param options {Object} An object containing the following named options:
+     * <dl>
+     *  <dt>type</dt>
+     *  <dd>The request's HTTP method. [GET, POST, PUT, DELETE or HEAD]</dd>
+     *  <dt>url</dt>
+     *  <dd>The full URL of the resource to which the request is made.</dd>
+     *  <dt>data</dt>
+     *  <dd>The body of data that may be the payload of the request (in the
+     *  case of POST and PUT requests).</dd>
+     *  <dt>async</dt>
+     *  <dd>Indicates if the request is to be asyncronous (default is true)</dd>
+     *  <dt>timeout</dt>
+     *  <dd>The number of milliseconds to wait for an asynchronous request to
+     *  complete before calling onError with a TimeoutError (defaults to the
+     *  session's timeout).</dd>
+     *  <dt>retry</dt>
+     *  <dd>The retry policy for transient failures of asynchronous requests
+     *  (defaults to the session's retry policy). See fluidinfo().</dd>
+     *  <dt>offline</dt>
+     *  <dd>Set to false to stop the request being queued when the session is
+     *  in offline mode. Requests given their own auth or headers are never
+     *  queued since they would be replayed with the session's.</dd>
+     *  <dt>priority</dt>
+     *  <dd>The priority of the request when waiting for one of the session's
+     *  maxConcurrentRequests (higher goes first). Defaults to 1 for reads and
+     *  0 for writes.</dd>
+     *  <dt>cache</dt>
+     *  <dd>Set to false to bypass the session's response cache. Requests
+     *  given their own auth or headers always bypass it.</dd>
+     *  <dt>dedupe</dt>
+     *  <dd>Set to false to stop a GET or HEAD request sharing the network
+     *  call of an identical request (same URL and arguments) that is already
+     *  in flight.</dd>
+     *  <dt>auth</dt>
+     *  <dd>How to authenticate instead of the session's way, given like the
+     *  auth option of fluidinfo(). Null for an anonymous request.</dd>
+     *  <dt>headers</dt>
+     *  <dd>An object of extra headers to send with the request. These
+     *  override the session's headers and those set by the library.</dd>
+     *  <dt>contentType</dt>
+     *  <dd>The MIME type of the payload. Required when PUTting opaque values
+     *  such as ArrayBuffers, Uint8Arrays or Node Buffers (Blobs use their own
+     *  type if none is given).</dd>
+     *  <dt>responseType</dt>
+     *  <dd>Set to "arraybuffer" (or "blob" in browsers, "buffer" under Node)
+     *  to receive the body as binary data, e.g. when GETting an opaque value.
+     *  The result's data is then the bytes and its contentType their MIME
+     *  type.</dd>
+     *  <dt>onProgress</dt>
+     *  <dd>A function called as the request is uploaded and the response
+     *  downloaded. It is passed an object with direction ("upload" or
+     *  "download"), loaded, total (null if unknown) and lengthComputable
+     *  attributes.</dd>
+     *  <dt>onSuccess</dt>
+     *  <dd>A function that takes the XHR request as an argument. Called upon
+     *  successful completion of the request.</dd>
+     *  <dt>onError</dt>
+     *  <dd>A function that takes the XHR request as an argument. Called when
+     *  the request resulted in an error.</dd>
+     * </dl>
+     * @return {Object} The result if the request is synchronous, otherwise a
+     * Promise that resolves or rejects with the result. The Promise has an
+     * abort function that cancels the request and calls onError with an
+     * AbortError. Results have a retries attribute recording how many times
+     * the request was retried, a cached attribute indicating if the result
+     * came from the session's cache, a duration attribute recording the
+     * number of milliseconds the request took and an endpoint attribute
+     * recording the base URL the request was sent to (null if it was
+     * answered by an interceptor, the cache or a cassette).
+     */
+    function sendRequest(options) {
+      if(isArray(options.path)) {
+        options.path = encodeURL(options.path);
+      }
+      var method = options.type.toUpperCase() || "GET";
+      var args = createArgs(options.args);
+      var url = session.baseURL+options.path+args;
+      var async = true;
+      if (options.async !== undefined) {
+        async = options.async;
+      }
+      var headers = new Object();
+      var contentType = detectContentType(options);
+      var payload = options.data;
+      if(contentType) {
+        headers["Content-Type"] = contentType;
+        if(isJSONData(contentType) && !isBinary(options.data)) {
+          options.data = JSON.stringify(options.data);
+        }
+      }
+      // credentials that take a while to obtain are waited for before the
+      // request is sent
+      var provider = authProvider;
+      if(options.auth !== undefined) {
+        provider = options.auth ? authenticationProvider(options.auth) : null;
+      }
+      var authorization = null;
+      /**
+       * Forgets credentials that are still being obtained when the request
+       * won't wait for them, so that failing to obtain them isn't reported
+       * as an unhandled rejection.
+       */
+      var discardAuthorization = function() {
+        if(authorization) {
+          authorization.then(null, function() {});
+          authorization = null;
+        }
+      };
+      if(provider) {
+        authorization = provider.authorize({method: method, url: url,
+          path: options.path, headers: headers, data: options.data});
+        if(authorization && typeof authorization.then === "function") {
+          if(!async) {
+            discardAuthorization();
+            throw new errors.ValueError("Synchronous requests can't wait for the authentication provider.");
+          }
+        } else {
+          authorization = null;
+        }
+      }
+      // extra headers for the session and then the request take precedence
+      var extraHeaders = [session.headers, options.headers];
+      var i;
+      for(i=0; i<extraHeaders.length; i++) {
+        var name;
+        for(name in extraHeaders[i]) {
+          if(typeof extraHeaders[i][name] !== "function") {
+            headers[name] = extraHeaders[i][name];
+          }
+        }
+      }
+      var request = interceptRequest({method: method, url: url,
+        path: options.path, headers: headers, data: options.data});
+      var promise = promiseCallbacks(options);
+      var timeout = session.timeout;
+      if(options.timeout !== undefined) {
+        timeout = options.timeout;
+      }
+      var policy = null;
+      if(async) {
+        policy = retryPolicy(options, method);
+      }
+      // binary payloads can't be persisted so are never queued, nor are
+      // requests whose own credentials or headers wouldn't be replayed
+      var queueable = async && offlineSettings && options.offline !== false &&
+        method !== "GET" && method !== "HEAD" && !isBinary(payload) &&
+        options.auth === undefined && !options.headers;
+      var queuedEntry = null;
+      var started = new Date().getTime();
+      var outstanding = false;
+      var settle = function() {
+        if(!outstanding) return;
+        outstanding = false;
+        outstandingRequests--;
+        if(outstandingRequests === 0) {
+          emit("idle");
+        }
+      }
+      var queue = function() {
+        finished = true;
+        // the queued request is authorized afresh when it is replayed
+        discardAuthorization();
+        settle();
+        queuedEntry = enqueue({method: method, path: options.path,
+          args: options.args, data: payload, contentType: options.contentType},
+          {onSuccess: function(result) {
+            // the entry has been replayed so can no longer be aborted
+            queuedEntry = null;
+            if(options.onSuccess) {
+              options.onSuccess(result);
+            }
+          }, onError: function(error) {
+            queuedEntry = null;
+            if(options.onError) {
+              options.onError(error);
+            }
+          }});
+      }
+      var isRead = (method === "GET" || method === "HEAD");
+      // cached responses are shared by the session's requests so those made
+      // with their own credentials or headers neither use nor fill the cache
+      var cacheable = async && cacheStorage && isRead &&
+        options.cache !== false && !options.responseType &&
+        options.auth === undefined && !options.headers;
+      var cached = null;
+      if(cacheable && !request.response) {
+        cached = cachedResponse(request);
+      }
+      var recordable = cassetteSettings && cassetteSettings.mode === "record" &&
+        !options.responseType && !isBinary(request.data);
+      // identical reads in flight at the same time share one network call
+      var dedupable = async && isRead && options.dedupe !== false;
+      var priority = options.priority;
+      if(priority === undefined) {
+        priority = isRead ? 1 : 0;
+      }
+      var onProgress = undefined;
+      if(options.onProgress) {
+        onProgress = function(event) {
+          if(!finished) {
+            options.onProgress(event);
+          }
+        }
+      }
+      var finished = false;
+      var attempts = 0;
+      var timer = null;
+      var retryTimer = null;
+      var inFlight = null;
+      var finalResult = null;
+      var refreshed = false;
+      var endpoint = null;
+      // requests that can safely be sent again to another endpoint
+      var idempotent = method !== "POST";
+      var finish = function(result) {
+        if(queueable && result.status === 0 &&
+          !(result instanceof errors.FluidinfoError)) {
+          // Fluidinfo can't be reached so try again once it can
+          queue();
+          return;
+        }
+        finished = true;
+        result.retries = attempts - 1;
+        result.cached = !!cached;
+        result.duration = new Date().getTime() - started;
+        result.endpoint = endpoint;
+        if(!isRead) {
+          // whatever the outcome the resource may have changed
+          invalidateCache(options.path);
+        }
+        result = interceptResponse(result, request);
+        if(!isSuccessful(result.status) &&
+          !(result instanceof errors.FluidinfoError)) {
+          result = createError(result, request);
+        }
+        finalResult = result;
+        // call the event handlers
+        if(isSuccessful(result.status) &&
+          !(result instanceof errors.FluidinfoError)) {
+          emit("response", result, request);
+          if(options.onSuccess){
+            options.onSuccess(result);
+          }
+          // connectivity has returned so send anything that is queued
+          replayOfflineQueue();
+        } else {
+          emit("error", result, request);
+          if (options.onError){
+            // there appears to be a problem
+            options.onError(result);
+          }
+        }
+        settle();
+      }
+      var retryOrFinish = function(result, successful) {
+        if(!successful && async && !refreshed && provider &&
+          provider.refresh && isRejectedCredentials(result)) {
+          // ask the provider for new credentials and try once more
+          refreshed = true;
+          var reauthorize = function(refreshedCredentials) {
+            if(finished) return;
+            if(refreshedCredentials === false) {
+              finish(result);
+              return;
+            }
+            authorization = provider.authorize(request);
+            if(!authorization || typeof authorization.then !== "function") {
+              authorization = null;
+            }
+            send();
+          };
+          var refreshing = provider.refresh(result, request);
+          if(refreshing && typeof refreshing.then === "function") {
+            refreshing.then(reauthorize, function() {
+              if(!finished) {
+                finish(result);
+              }
+            });
+          } else {
+            reauthorize(refreshing);
+          }
+          return;
+        }
+        var delay = null;
+        if(!successful && policy && attempts < policy.attempts &&
+          isTransientFailure(result)) {
+          delay = retryDelay(policy, attempts, result);
+        }
+        if(delay !== null) {
+          emit("retry", result, request, {attempt: attempts + 1, delay: delay});
+          retryTimer = setTimeout(send, delay);
+        } else {
+          finish(result);
+        }
+      }
+      var send = function() {
+        attempts++;
+        if(authorization) {
+          var pending = authorization;
+          authorization = null;
+          pending.then(function() {
+            if(!finished) {
+              transmit();
+            }
+          }, function(reason) {
+            if(finished) return;
+            var error = createErrorResult("AuthorizationError",
+              "Unable to authenticate: " + (reason && reason.message ?
+              reason.message : reason));
+            error.method = request.method;
+            error.url = request.url;
+            finish(error);
+          });
+          return;
+        }
+        transmit();
+      }
+      var transmit = function(failingOver) {
+        var done = false;
+        var target = null;
+        endpoint = null;
+        var failOver = function() {
+          setEndpointHealth(target, false);
+          if(!idempotent) {
+            return false;
+          }
+          var next = selectEndpoint(isRead);
+          if(!next.healthy) {
+            // there's nothing left to fail over to
+            return false;
+          }
+          emit("failover", request, {from: target.url, to: next.url});
+          transmit(true);
+          return true;
+        }
+        var onComplete = function(response) {
+          if(done || finished) return;
+          done = true;
+          clearTimeout(timer);
+          response = normaliseResponse(response);
+          if(target && isEndpointFailure(response) && failOver()) {
+            return;
+          }
+          if(recordable && !cached && !request.response && !replayed) {
+            recordInteraction(request, response);
+          }
+          var result = createNiceResult(response, options.responseType);
+          var parsed = !(result instanceof errors.FluidinfoError);
+          if(!parsed) {
+            result.method = request.method;
+            result.url = request.url;
+          }
+          if(cacheable && !cached && !request.response && parsed) {
+            cacheResponse(request, options.path, response);
+          }
+          retryOrFinish(result, parsed && isSuccessful(response.status));
+        }
+        var replayed = null;
+        if(cassetteSettings && cassetteSettings.mode === "replay" &&
+          !request.response && !cached) {
+          replayed = replayInteraction(request);
+          if(!replayed) {
+            done = true;
+            var error = createErrorResult("CassetteError",
+              "The cassette has no recorded response for " + request.method +
+              " " + request.url);
+            error.method = request.method;
+            error.url = request.url;
+            finish(error);
+            return;
+          }
+        }
+        if(request.response || cached || replayed) {
+          // an interceptor, the cache or the cassette has short-circuited the
+          // request
+          inFlight = null;
+          onComplete(request.response || cached || replayed);
+          return;
+        }
+        var key = null;
+        // a request failing over mustn't rejoin a call to the failed endpoint
+        if(dedupable && !failingOver) {
+          key = request.method + " " + request.url + " " +
+            (options.responseType || "") + " " +
+            JSON.stringify(request.headers);
+        }
+        var outgoing = {method: request.method, url: request.url,
+          headers: request.headers, data: request.data, target: null,
+          endpoint: null};
+        if(key && sharedCalls.hasOwnProperty(key)) {
+          // share the identical request's endpoint as well as its response
+          outgoing = sharedCalls[key].request;
+        } else if(request.url.indexOf(session.baseURL) === 0) {
+          outgoing.endpoint = session.baseURL;
+          if(endpoints.length > 0) {
+            outgoing.target = selectEndpoint(isRead);
+            outgoing.endpoint = outgoing.target.url;
+            outgoing.url = outgoing.endpoint +
+              request.url.slice(session.baseURL.length);
+          }
+        }
+        target = outgoing.target;
+        endpoint = outgoing.endpoint;
+        if(!async) {
+          inFlight = transport({method: outgoing.method, url: outgoing.url,
+            headers: outgoing.headers, data: outgoing.data, async: false,
+            responseType: options.responseType, onProgress: onProgress,
+            onComplete: onComplete});
+          if(inFlight) {
+            // synchronous transports may return the response instead
+            onComplete(inFlight);
+          }
+          return;
+        }
+        var onTimeout = function() {
+          if(done || finished) return;
+          done = true;
+          inFlight.abort();
+          if(target && failOver()) {
+            return;
+          }
+          var error = createErrorResult("TimeoutError",
+            "The request timed out after " + timeout + "ms.");
+          error.method = request.method;
+          error.url = request.url;
+          retryOrFinish(error, false);
+        }
+        inFlight = callTransport(key, outgoing, priority, options.responseType, {
+          onStart: function() {
+            if(timeout) {
+              timer = setTimeout(onTimeout, timeout);
+            }
+          },
+          onProgress: onProgress,
+          onComplete: onComplete
+        });
+      }
+      if(async) {
+        outstanding = true;
+        outstandingRequests++;
+      }
+      try {
+        emit("request", request);
+        if(queueable && (isOffline() || ownQueuedEntries().length > 0)) {
+          // queue behind any earlier requests so they're sent in order
+          queue();
+          replayOfflineQueue();
+        } else {
+          send();
+        }
+      } catch(e) {
+        // the request is abandoned so mustn't keep the session from idling
+        finished = true;
+        discardAuthorization();
+        clearTimeout(timer);
+        settle();
+        throw e;
+      }
+      if(!async) {
+        if(finalResult) {
+          return finalResult;
+        }
+        return;
+      }
+      return requestHandle(promise, {
+        abort: function() {
+          if(queuedEntry) {
+            var entry = queuedEntry;
+            queuedEntry = null;
+            if(!isQueued(entry)) {
+              // it has already been replayed (or removed from the queue)
+              return;
+            }
+            dequeue(entry);
+            if(replaying && replaying.entry.id === entry.id &&
+              replaying.handle) {
+              // stop the replay so the caller is only told of the abort
+              replaying.handle.abort();
+            }
+            finished = false;
+          }
+          if(finished) return;
+          clearTimeout(timer);
+          clearTimeout(retryTimer);
+          if(inFlight && typeof inFlight.abort === "function") {
+            inFlight.abort();
+          }
+          var error = createErrorResult("AbortError",
+            "The request was aborted.");
+          error.method = request.method;
+          error.url = request.url;
+          finish(error);
+        }
+      });
+    }
+
+    /**
+     * Contains functions to facilitate the calling of the Fluidinfo REST API.
+     */
+    var api = new Object();
+
+    /**
+     * Makes an HTTP GET call to the Fluidinfo API
+     *
+     */
+    api.get = function(options){
+      options.type = "GET";
+      options.data = null;
+      return sendRequest(options);
+    }
+
+    /**
+     * Makes an HTTP POST call to the Fluidinfo API
+     *
+     */
+    api.post = function(options){
+      options.type = "POST";
+      return sendRequest(options);
+    }
+
+    /**
+     * Makes an HTTP PUT call to the Fluidinfo API
+     *
+     */
+    api.put = function(options){
+      options.type = "PUT";
+      return sendRequest(options);
+    }
+
+    /**
+     * Makes an HTTP DELETE call to the Fluidinfo API
+     *
+     */
+    api.delete = function(options){
+      options.type = "DELETE";
+      options.data = null;
+      return sendRequest(options);
+    }
+
+    /**
+     * Makes an HTTP HEAD call to the Fluidinfo API
+     *
+     */
+    api.head = function(options){
+      options.type = "HEAD";
+      options.data = null;
+      return sendRequest(options);
+    }
+
+    session.api = api;
+
+    /**
+     * Registers a function to be called whenever the given event occurs. The
+     * session emits the following events:
+     * <dl>
+     *  <dt>request</dt>
+     *  <dd>A request is about to be made. Passed the request.</dd>
+     *  <dt>response</dt>
+     *  <dd>A request succeeded. Passed the result and the request.</dd>
+     *  <dt>error</dt>
+     *  <dd>A request failed. Passed the error and the request.</dd>
+     *  <dt>retry</dt>
+     *  <dd>A failed request is to be retried. Passed the failed result, the
+     *  request and an object with attempt and delay attributes.</dd>
+     *  <dt>idle</dt>
+     *  <dd>The last asynchronous request in progress has completed.</dd>
+     *  <dt>identity</dt>
+     *  <dd>The session signed in or out. Passed an object with username
+     *  (undefined when signed out) and previous (the username before)
+     *  attributes.</dd>
+     *  <dt>failover</dt>
+     *  <dd>An endpoint stopped responding so a request is being sent to
+     *  another. Passed the request and an object with from and to attributes
+     *  (the base URLs of the endpoints).</dd>
+     * </dl>
+     *
+     * @param event {string} The name of the event.
+     * @param fn {Function} The function to call.
+     */
+    session.on = function(event, fn) {
+      if(typeof fn !== "function") {
+        throw new errors.ValueError("An event listener must be a function.");
+      }
+      if(!eventListeners[event]) {
+        eventListeners[event] = [];
+      }
+      eventListeners[event].push(fn);
+      return session;
+    };
+
+    /**
+     * Stops a function being called when the given event occurs.
+     *
+     * @param event {string} The name of the event.
+     * @param fn {Function} The function passed to on().
+     */
+    session.off = function(event, fn) {
+      var listeners = eventListeners[event];
+      if(listeners) {
+        var i;
+        for(i=0; i<listeners.length; i++) {
+          if(listeners[i] === fn) {
+            listeners.splice(i, 1);
+            break;
+          }
+        }
+      }
+      return session;
+    };
+
+    /**
+     * Returns the statistics collected about the session's requests, grouped
+     * by endpoint family (e.g. "values", "objects", "about", "tags",
+     * "namespaces" or "permissions") and then by method. E.g.
+     *
+     *   session.stats().values.GET.averageDuration
+     *
+     * Each entry has count, errors, errorRate, totalDuration,
+     * averageDuration, minDuration, maxDuration (all in milliseconds),
+     * bytesSent, bytesReceived and averageBytesReceived attributes. Cached
+     * results and aborted requests are not counted.
+     *
+     * @return {Object} A copy of the statistics.
+     */
+    session.stats = function() {
+      var result = new Object();
+      var family;
+      for(family in statistics) {
+        result[family] = new Object();
+        var method;
+        for(method in statistics[family]) {
+          var entry = statistics[family][method];
+          var copy = new Object();
+          var attribute;
+          for(attribute in entry) {
+            copy[attribute] = entry[attribute];
+          }
+          copy.errorRate = entry.errors / entry.count;
+          copy.averageDuration = entry.totalDuration / entry.count;
+          copy.averageBytesReceived = entry.bytesReceived / entry.count;
+          result[family][method] = copy;
+        }
+      }
+      return result;
+    };
+
+    /**
+     * Discards the statistics collected so far.
+     */
+    session.resetStats = function() {
+      statistics = new Object();
+    };
+
+    session.on("response", function(result, request) {
+      recordStatistics(request, result, false);
+    });
+    session.on("error", function(error, request) {
+      recordStatistics(request, error, true);
+    });
+
+    /**
+     * Signs in as a different user. The credentials are checked by fetching
+     * the user's details from /users/{username} and only adopted if
+     * Fluidinfo accepts them. On success the cache is cleared and an
+     * "identity" event emitted.
+     *
+     * @param options {Object} Contains username and password attributes and
+     * optional onSuccess and onError callbacks.
+     * @return {Promise} A Promise that resolves with the result of fetching
+     * the user's details or rejects with the error.
+     */
+    session.login = function(options) {
+      if(!options || options.username === undefined ||
+        options.password === undefined) {
+        throw new errors.ValueError("Supply both a username and password.");
+      }
+      var candidate = basicAuth(options.username, options.password);
+      var promise = promiseCallbacks(options);
+      var onSuccess = options.onSuccess;
+      var request = session.api.get({path: ["users", options.username],
+        auth: candidate, cache: false, onError: options.onError,
+        onSuccess: function(result) {
+          changeIdentity(candidate);
+          if(onSuccess) {
+            onSuccess(result);
+          }
+        }});
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Signs out, reverting the session to anonymous access. Clears the
+     * cache and emits an "identity" event if the session was signed in.
+     */
+    session.logout = function() {
+      if(authProvider) {
+        changeIdentity(null);
+      }
+    };
+
+    /**
+     * Switches the session to a new authentication provider, clearing the
+     * cached responses fetched with the old credentials and replaying any
+     * requests the new user queued earlier.
+     *
+     * @param provider {Object} The new authentication provider, null for
+     * anonymous access.
+     */
+    function changeIdentity(provider) {
+      var previous = session.username;
+      useAuthProvider(provider);
+      session.cache.clear();
+      emit("identity", {username: session.username, previous: previous});
+      replayOfflineQueue();
+    }
+
+    /**
+     * Gives access to the session's response cache (see the cache option of
+     * fluidinfo()).
+     */
+    session.cache = {
+      /**
+       * Removes the cached responses affected by a change to the resource at
+       * the given path.
+       *
+       * @param path {string} The path (or array of path elements) of the
+       * resource, e.g. "about/foo/ntoll/rating".
+       */
+      invalidate: invalidateCache,
+      /**
+       * Removes all the cached responses.
+       */
+      clear: function() {
+        if(cacheStorage) {
+          var keys = cacheStorage.keys();
+          var i;
+          for(i=0; i<keys.length; i++) {
+            cacheStorage.remove(keys[i]);
+          }
+        }
+      }
+    };
+
+    /**
+     * Gives access to the state of the session's request scheduler (see the
+     * maxConcurrentRequests option of fluidinfo()).
+     */
+    session.scheduler = {
+      /**
+       * Returns the number of requests waiting to be sent.
+       */
+      pending: function() {
+        return scheduledJobs.length;
+      },
+      /**
+       * Returns the number of requests in flight.
+       */
+      active: function() {
+        return activeJobs;
+      },
+      /**
+       * Registers a function to be called whenever the last waiting or in
+       * flight request completes.
+       *
+       * @param fn {Function} The function to call.
+       */
+      onDrain: function(fn) {
+        drainListeners.push(fn);
+      }
+    };
+
+    /**
+     * Gives access to the requests queued while the session is offline (see
+     * the offline option of fluidinfo()).
+     */
+    session.offlineQueue = {
+      /**
+       * Returns a copy of the queued entries (including those held back for
+       * other users, see the username attribute) in the order they will be
+       * replayed.
+       */
+      entries: function() {
+        return offlineQueue.slice(0);
+      },
+      /**
+       * Replays the queued requests (this happens automatically when the
+       * browser comes back online or a request succeeds).
+       */
+      replay: replayOfflineQueue,
+      /**
+       * Discards all the queued requests.
+       */
+      clear: function() {
+        var entries = offlineQueue.slice(0);
+        var i;
+        for(i=0; i<entries.length; i++) {
+          dequeue(entries[i]);
+        }
+      }
+    };
+
+    if(loggerSettings) {
+      startLogging();
+    }
+
+    if(cassetteSettings) {
+      loadCassette();
+    }
+
+    /**
+     * Gives access to the session's cassette (see the cassette option of
+     * fluidinfo()).
+     */
+    session.cassette = {
+      /**
+       * Returns a copy of the recorded (or loaded) interactions, each an
+       * object with request and response attributes.
+       */
+      interactions: function() {
+        return cassetteSettings ? cassetteSettings.interactions.slice(0) : [];
+      },
+      /**
+       * Returns the loaded interactions that have not been replayed yet.
+       */
+      remaining: function() {
+        var result = [];
+        if(cassetteSettings && cassetteSettings.mode === "replay") {
+          var i;
+          for(i=0; i<cassetteSettings.interactions.length; i++) {
+            if(!cassetteSettings.used[i]) {
+              result.push(cassetteSettings.interactions[i]);
+            }
+          }
+        }
+        return result;
+      }
+    };
+
+    if(endpoints.length > 0) {
+      startHealthChecks();
+    }
+
+    /**
+     * Gives access to the session's endpoints (see the endpoints option of
+     * fluidinfo()).
+     */
+    session.endpoints = {
+      /**
+       * Returns an array describing each endpoint with url, primary,
+       * healthy and lastChecked (a timestamp, null if never checked)
+       * attributes.
+       */
+      status: function() {
+        var result = [];
+        var i;
+        for(i=0; i<endpoints.length; i++) {
+          result.push({url: endpoints[i].url, primary: i === 0,
+            healthy: endpoints[i].healthy,
+            lastChecked: endpoints[i].lastChecked});
+        }
+        return result;
+      },
+      /**
+       * Checks the health of every endpoint straight away.
+       *
+       * @param onComplete {Function} Called with the endpoints' status once
+       * they have all been checked.
+       * @return {Promise} A Promise that resolves with the endpoints' status.
+       */
+      check: function(onComplete) {
+        var options = {onSuccess: onComplete};
+        var promise = promiseCallbacks(options);
+        checkEndpoints(function() {
+          if(options.onSuccess) {
+            options.onSuccess(session.endpoints.status());
+          }
+        });
+        return promise;
+      },
+      /**
+       * Stops the periodic health checks.
+       */
+      stop: function() {
+        clearInterval(healthTimer);
+        healthTimer = null;
+      }
+    };
+
+    if(offlineSettings) {
+      loadOfflineQueue();
+      if(typeof window !== "undefined" && window.addEventListener) {
+        window.addEventListener("online", replayOfflineQueue, false);
+      }
+    }
+
+    /**
+     * Allows functions to intercept every request made by the session before
+     * it is sent and every result before it is passed to onSuccess or
+     * onError. E.g.
+     *
+     *   session.interceptors.request.use(function(request) {
+     *     request.headers["X-Trace-Id"] = traceId;
+     *   });
+     *
+     * Request interceptors are passed an object with method, url, path,
+     * headers and data attributes. Response interceptors are passed the result
+     * and the request.
+     */
+    session.interceptors = {
+      request: interceptorRegistry(requestInterceptors),
+      response: interceptorRegistry(responseInterceptors)
+    };
+
+    /**
+     * Easily gets results from Fluidinfo.
+     */
+    session.query = function(options) {
       // process the options
       if(options.select === undefined) {
-        throw {
-          name: "ValueError",
-          message: "Missing select option."
-        }
+        throw new errors.ValueError("Missing select option.");
       }
       if(options.where === undefined) {
-        throw {
-          name: "ValueError",
-          message: "Missing where option."
-        }
+        throw new errors.ValueError("Missing where option.");
       }
+      var promise = promiseCallbacks(options);
       /**
        * Takes the raw result from Fluidinfo and turns it into an easy-to-use
        * array of useful objects representing the matching results then calls
@@ -497,9 +3395,12 @@ var fluidinfo = function(options) {
         };
       }
       // Make the appropriate call to Fluidinfo
-      this.api.get({path: "values",
+      var request = this.api.get({path: "values",
         args: {tag: options.select, query: options.where},
-        onSuccess: processResult, onError: options.onError});
+        onSuccess: processResult, onError: options.onError,
+        timeout: options.timeout, retry: options.retry,
+        onProgress: options.onProgress, headers: options.headers});
+      return requestHandle(promise, request);
     }
 
     /**
@@ -508,17 +3409,11 @@ var fluidinfo = function(options) {
     session.update = function(options) {
       // process the options
       if(options.values === undefined) {
-        throw {
-          name: "ValueError",
-          message: "Missing values option."
-        }
+        throw new errors.ValueError("Missing values option.");
       }
       if(options.where === undefined) {
 
-        throw {
-          name: "ValueError",
-          message: "Missing where option."
-        }
+        throw new errors.ValueError("Missing where option.");
       }
       var payload = new Object();
       var queries = [];
@@ -533,9 +3428,13 @@ var fluidinfo = function(options) {
       updateSpecification[1] = valueSpec;
       queries[0] = updateSpecification;
       payload["queries"] = queries;
+      var promise = promiseCallbacks(options);
       // Make the appropriate call to Fluidinfo
-      this.api.put({path: "values", data: payload,
-        onSuccess: options.onSuccess, onError: options.onError});
+      var request = this.api.put({path: "values", data: payload,
+        onSuccess: options.onSuccess, onError: options.onError,
+        timeout: options.timeout, retry: options.retry,
+        onProgress: options.onProgress, headers: options.headers});
+      return requestHandle(promise, request);
     }
 
     /**
@@ -543,17 +3442,14 @@ var fluidinfo = function(options) {
      */
     session.tag = function(options) {
       if(options.about === undefined && options.id === undefined) {
-        throw {
-          name: "ValueError",
-          message: "Supply either an 'about' or 'id' specification."
-        }
+        throw new errors.ValueError("Supply either an 'about' or 'id' specification.");
       }
       if(options.about) {
         options.where = 'fluiddb/about="'+options.about+'"';
       } else if(options.id) {
         options.where = 'fluiddb/id="'+options.id+'"';
       }
-      this.update(options);
+      return this.update(options);
     };
 
 
@@ -564,21 +3460,15 @@ var fluidinfo = function(options) {
     session.delete = function(options) {
       // process the options
       if(options.tags === undefined) {
-        throw {
-          name: "ValueError",
-          message: "Missing tags option."
-        }
+        throw new errors.ValueError("Missing tags option.");
       }
       if(options.where === undefined) {
-        throw {
-          name: "ValueError",
-          message: "Missing where option."
-        }
+        throw new errors.ValueError("Missing where option.");
       }
       options.path = "values";
       options.args = {tag: options.tags, query: options.where };
       // Make the appropriate call to Fluidinfo
-      this.api.delete(options);
+      return this.api.delete(options);
     }
 
     /**
@@ -586,10 +3476,7 @@ var fluidinfo = function(options) {
      */
     session.getObject = function(options) {
       if(options.about === undefined && options.id === undefined) {
-        throw {
-          name: "ValueError",
-          message: "Supply either an 'about' or 'id' specification."
-        }
+        throw new errors.ValueError("Supply either an 'about' or 'id' specification.");
       }
       if(options.about) {
         options.where = 'fluiddb/about="'+options.about+'"';
@@ -597,6 +3484,7 @@ var fluidinfo = function(options) {
         options.where = 'fluiddb/id="'+options.id+'"';
       }
 
+      var promise = promiseCallbacks(options);
       var userOnSuccess = options.onSuccess;
       /**
        * Takes the result of a call to query() and builds an appropriate
@@ -622,24 +3510,23 @@ var fluidinfo = function(options) {
       };
       options.onSuccess = processResult;
       // call the query function
-      session.query(options);
+      var request = session.query(options);
+      return requestHandle(promise, request);
     };
 
     /**
      * Enables a user to create a new object about something
      */
     session.createObject = function(options) {
-      if(!authorizationToken) {
-        throw {
-          name: "AuthorizationError",
-          message: "You must be signed in to create a new object."
-        }
+      if(!authProvider) {
+        throw new errors.AuthorizationError("You must be signed in to create a new object.");
       }
       if(options.about) {
         options.path = ["about", options.about];
       } else {
         options.path = "objects";
       }
+      var promise = promiseCallbacks(options);
       var userOnSuccess = options.onSuccess;
       var onSuccess = function(result) {
         var newObject = new Object();
@@ -653,8 +3540,367 @@ var fluidinfo = function(options) {
         }
       }
       options.onSuccess = onSuccess;
-      session.api.post(options)
+      var request = session.api.post(options);
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Splits the full path of a namespace or tag (e.g. "ntoll/books/rating")
+     * into the path of its parent namespace and its name.
+     *
+     * @param path {string} The full path.
+     * @param kind {string} Either "namespace" or "tag", used to report
+     * problems.
+     * @return {Object} An object with path, namespace and name attributes.
+     */
+    function splitPath(path, kind) {
+      var ErrorType = kind === "tag" ? errors.TagPathError : errors.ValueError;
+      if(typeof path !== "string" || path.length === 0) {
+        throw new ErrorType("Missing " + kind + " path.");
+      }
+      var segments = path.split("/");
+      var i;
+      for(i=0; i<segments.length; i++) {
+        if(segments[i].length === 0) {
+          throw new ErrorType("Invalid " + kind + " path: " + path);
+        }
+      }
+      if(segments.length < 2) {
+        throw new ErrorType("The " + kind + " path must include its parent " +
+          "namespace (e.g. ntoll/books): " + path);
+      }
+      return {path: path, namespace: segments.slice(0, -1).join("/"),
+        name: segments[segments.length - 1]};
+    }
+
+    /**
+     * Replaces the data of a successful result with the given normalised
+     * object before calling the user's onSuccess function.
+     *
+     * @param options {Object} The options passed into the call to the
+     * library.
+     * @param normalise {Function} Given the raw result returns the object to
+     * use as the result's data.
+     */
+    function normaliseResult(options, normalise) {
+      var userOnSuccess = options.onSuccess;
+      options.onSuccess = function(result) {
+        result.data = normalise(result);
+        if(userOnSuccess) {
+          userOnSuccess(result);
+        }
+      };
+    }
+
+    /**
+     * Creates a new namespace.
+     *
+     * @param options {Object} Contains a path attribute with the full path of
+     * the new namespace (e.g. "ntoll/books") and an optional description.
+     * @return {Promise} Resolves with a result whose data has id, path and
+     * description attributes. Rejects with a NamespaceAlreadyExists error if
+     * the namespace exists or NonexistentNamespace if its parent doesn't.
+     */
+    session.createNamespace = function(options) {
+      if(!authProvider) {
+        throw new errors.AuthorizationError("You must be signed in to create a namespace.");
+      }
+      var target = splitPath(options.path, "namespace");
+      var description = options.description || "";
+      var promise = promiseCallbacks(options);
+      normaliseResult(options, function(result) {
+        return {id: result.data.id, path: target.path,
+          description: description};
+      });
+      options.path = ["namespaces"].concat(target.namespace.split("/"));
+      options.data = {name: target.name, description: description};
+      var request = session.api.post(options);
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Gets information about a namespace.
+     *
+     * @param options {Object} Contains a path attribute with the full path of
+     * the namespace and optional returnDescription, returnNamespaces and
+     * returnTags flags.
+     * @return {Promise} Resolves with a result whose data has id and path
+     * attributes plus description, namespaces and tags attributes if
+     * requested. The namespaces and tags are listed by their full paths.
+     * Rejects with a NonexistentNamespace error if there is no such
+     * namespace.
+     */
+    session.getNamespace = function(options) {
+      if(typeof options.path !== "string" || options.path.length === 0) {
+        throw new errors.ValueError("Missing namespace path.");
+      }
+      var path = options.path;
+      var promise = promiseCallbacks(options);
+      normaliseResult(options, function(result) {
+        var namespace = {id: result.data.id, path: path};
+        if(result.data.description !== undefined) {
+          namespace.description = result.data.description;
+        }
+        var lists = {namespaces: "namespaceNames", tags: "tagNames"};
+        var list;
+        for(list in lists) {
+          if(typeof lists[list] !== "function" &&
+            result.data[lists[list]] !== undefined) {
+            var names = result.data[lists[list]];
+            namespace[list] = [];
+            var i;
+            for(i=0; i<names.length; i++) {
+              namespace[list].push(path + "/" + names[i]);
+            }
+          }
+        }
+        return namespace;
+      });
+      options.args = {returnDescription: !!options.returnDescription,
+        returnNamespaces: !!options.returnNamespaces,
+        returnTags: !!options.returnTags};
+      options.path = ["namespaces"].concat(path.split("/"));
+      var request = session.api.get(options);
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Updates the description of a namespace.
+     *
+     * @param options {Object} Contains path and description attributes.
+     * @return {Promise} Resolves with a result whose data has path and
+     * description attributes. Rejects with a NonexistentNamespace error if
+     * there is no such namespace.
+     */
+    session.updateNamespace = function(options) {
+      if(typeof options.path !== "string" || options.path.length === 0) {
+        throw new errors.ValueError("Missing namespace path.");
+      }
+      if(options.description === undefined) {
+        throw new errors.ValueError("Missing description option.");
+      }
+      var path = options.path;
+      var description = options.description;
+      var promise = promiseCallbacks(options);
+      normaliseResult(options, function(result) {
+        return {path: path, description: description};
+      });
+      options.path = ["namespaces"].concat(path.split("/"));
+      options.data = {description: description};
+      var request = session.api.put(options);
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Deletes a namespace. Fluidinfo only deletes empty namespaces.
+     *
+     * @param options {Object} Contains a path attribute with the full path of
+     * the namespace.
+     * @return {Promise} Resolves with a result whose data has a path
+     * attribute. Rejects with a NamespaceNotEmpty error if the namespace
+     * still contains namespaces or tags or NonexistentNamespace if there is
+     * no such namespace.
+     */
+    session.deleteNamespace = function(options) {
+      if(typeof options.path !== "string" || options.path.length === 0) {
+        throw new errors.ValueError("Missing namespace path.");
+      }
+      var path = options.path;
+      var promise = promiseCallbacks(options);
+      normaliseResult(options, function(result) {
+        return {path: path};
+      });
+      options.path = ["namespaces"].concat(path.split("/"));
+      var request = session.api.delete(options);
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Creates a new tag.
+     *
+     * @param options {Object} Contains a path attribute with the full path of
+     * the new tag (e.g. "ntoll/rating"), an optional description and an
+     * optional indexed flag (defaults to false).
+     * @return {Promise} Resolves with a result whose data has id, path,
+     * description and indexed attributes. Rejects with a TagAlreadyExists
+     * error if the tag exists or NonexistentNamespace if its namespace
+     * doesn't.
+     */
+    session.createTag = function(options) {
+      if(!authProvider) {
+        throw new errors.AuthorizationError("You must be signed in to create a tag.");
+      }
+      var target = splitPath(options.path, "tag");
+      var description = options.description || "";
+      var indexed = !!options.indexed;
+      var promise = promiseCallbacks(options);
+      normaliseResult(options, function(result) {
+        return {id: result.data.id, path: target.path,
+          description: description, indexed: indexed};
+      });
+      options.path = ["tags"].concat(target.namespace.split("/"));
+      options.data = {name: target.name, description: description,
+        indexed: indexed};
+      var request = session.api.post(options);
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Gets information about a tag.
+     *
+     * @param options {Object} Contains a path attribute with the full path of
+     * the tag and an optional returnDescription flag.
+     * @return {Promise} Resolves with a result whose data has id, path and
+     * indexed attributes plus a description attribute if requested. Rejects
+     * with a NonexistentTag error if there is no such tag.
+     */
+    session.getTag = function(options) {
+      var target = splitPath(options.path, "tag");
+      var promise = promiseCallbacks(options);
+      normaliseResult(options, function(result) {
+        var tag = {id: result.data.id, path: target.path,
+          indexed: result.data.indexed};
+        if(result.data.description !== undefined) {
+          tag.description = result.data.description;
+        }
+        return tag;
+      });
+      options.args = {returnDescription: !!options.returnDescription};
+      options.path = ["tags"].concat(target.path.split("/"));
+      var request = session.api.get(options);
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Updates the description of a tag.
+     *
+     * @param options {Object} Contains path and description attributes.
+     * @return {Promise} Resolves with a result whose data has path and
+     * description attributes. Rejects with a NonexistentTag error if there
+     * is no such tag.
+     */
+    session.updateTag = function(options) {
+      var target = splitPath(options.path, "tag");
+      if(options.description === undefined) {
+        throw new errors.ValueError("Missing description option.");
+      }
+      var description = options.description;
+      var promise = promiseCallbacks(options);
+      normaliseResult(options, function(result) {
+        return {path: target.path, description: description};
+      });
+      options.path = ["tags"].concat(target.path.split("/"));
+      options.data = {description: description};
+      var request = session.api.put(options);
+      return requestHandle(promise, request);
+    };
+
+    /**
+     * Deletes a tag along with all the values stored with it.
+     *
+     * @param options {Object} Contains a path attribute with the full path of
+     * the tag.
+     * @return {Promise} Resolves with a result whose data has a path
+     * attribute. Rejects with a NonexistentTag error if there is no such
+     * tag.
+     */
+    session.deleteTag = function(options) {
+      var target = splitPath(options.path, "tag");
+      var promise = promiseCallbacks(options);
+      normaliseResult(options, function(result) {
+        return {path: target.path};
+      });
+      options.path = ["tags"].concat(target.path.split("/"));
+      var request = session.api.delete(options);
+      return requestHandle(promise, request);
     };
 
     return session;
 }
+
+/**
+ * The types of error reported by the library. All are Error subclasses
+ * derived from FluidinfoError so can be distinguished with instanceof:
+ *
+ *   fi.api.get({path: "tags/ntoll/rating", onError: function(error) {
+ *     if(error instanceof fluidinfo.errors.NonexistentTag) {
+ *       // ...
+ *     }
+ *   }});
+ *
+ * Errors reported for failed requests also have the attributes of a normal
+ * result (status, statusText, headers, rawData, data and request) along with
+ * errorClass (the X-FluidDB-Error-Class header), path (the X-FluidDB-Path
+ * header), method and url.
+ */
+fluidinfo.errors = (function() {
+  var errors = new Object();
+
+  /**
+   * Creates a new type of error with the given name that inherits from the
+   * given parent type.
+   *
+   * @param name {string} The name of the new type of error.
+   * @param parent {Function} The constructor of the parent type.
+   * @return {Function} The constructor for the new type of error.
+   */
+  function defineError(name, parent) {
+    /**
+     * @constructor
+     * @param message {string} A human readable description of the error.
+     * @param details {Object} Attributes (e.g. from a result) to copy onto
+     * the error.
+     */
+    var ErrorType = function(message, details) {
+      this.name = name;
+      this.message = message;
+      var attribute;
+      for(attribute in details) {
+        if(typeof details[attribute] !== "function") {
+          this[attribute] = details[attribute];
+        }
+      }
+      if(Error.captureStackTrace) {
+        Error.captureStackTrace(this, ErrorType);
+      } else {
+        this.stack = (new Error(message)).stack;
+      }
+    };
+    ErrorType.prototype = Object.create(parent.prototype);
+    ErrorType.prototype.constructor = ErrorType;
+    ErrorType.prototype.name = name;
+    errors[name] = ErrorType;
+    return ErrorType;
+  }
+
+  var FluidinfoError = defineError("FluidinfoError", Error);
+  // problems with the way the library has been called or with the request
+  defineError("ValueError", FluidinfoError);
+  defineError("QueryError", FluidinfoError);
+  defineError("TagPathError", FluidinfoError);
+  // problems with credentials or permissions
+  defineError("AuthorizationError", FluidinfoError);
+  defineError("PermissionDenied", FluidinfoError);
+  // references to things that don't exist
+  defineError("NonexistentTag", FluidinfoError);
+  defineError("NonexistentNamespace", FluidinfoError);
+  defineError("NonexistentUser", FluidinfoError);
+  // conflicts with things that already exist
+  defineError("NamespaceNotEmpty", FluidinfoError);
+  defineError("NamespaceAlreadyExists", FluidinfoError);
+  defineError("TagAlreadyExists", FluidinfoError);
+  // requests that failed before or because of Fluidinfo
+  defineError("ServerError", FluidinfoError);
+  defineError("NetworkError", FluidinfoError);
+  defineError("TimeoutError", FluidinfoError);
+  defineError("AbortError", FluidinfoError);
+  // requests a replayed cassette has no recorded response for
+  defineError("CassetteError", FluidinfoError);
+
+  return errors;
+})();
+
+// Make the library available to Node's module system
+if(typeof module === "object" && module.exports) {
+  module.exports = fluidinfo;
+}
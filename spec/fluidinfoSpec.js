@@ -119,6 +119,57 @@ describe("Fluidinfo.js", function() {
       expect(fi.baseURL).toEqual("https://localhost/");
     });
 
+    it("should allow bespoke instances with ports, path prefixes and IPv6 hosts", function() {
+      var instances = ["http://localhost:9000/", "https://example.com/fluidinfo/",
+        "http://10.0.0.1:8080/api/fluidinfo/", "http://[::1]:9000/",
+        "https://[2001:db8::1]/fluidinfo/"];
+      var i;
+      for(i=0; i<instances.length; i++) {
+        expect(fluidinfo({instance: instances[i]}).baseURL)
+          .toEqual(instances[i]);
+      }
+      var invalid = ["http://localhost:9000", "http://localhost:port/",
+        "http://local host/", "http://localhost/fluidinfo",
+        "http://localhost//", "ftp://localhost/"];
+      for(i=0; i<invalid.length; i++) {
+        expect(function() {
+          fluidinfo({instance: invalid[i]});
+        }).toThrow(new fluidinfo.errors.ValueError("The URL must start with http[s]:// and have a trailing slash ('/') to be valid. E.g. https://localhost/ or http://localhost:9000/fluidinfo/"));
+      }
+    });
+
+    it("should send requests to the bespoke instance's path prefix", function() {
+      var fi = fluidinfo({instance: "http://localhost:9000/fluidinfo/"});
+      fi.api.get({path: ["about", "foo/bar"]});
+      expect(this.server.requests[0].url)
+        .toEqual("http://localhost:9000/fluidinfo/about/foo%2Fbar");
+    });
+
+    it("should send the session's extra headers with every request", function() {
+      var fi = fluidinfo({headers: {"X-Proxy-Token": "abc"}});
+      expect(fi.headers["X-Proxy-Token"]).toEqual("abc");
+      fi.api.get({path: "users/ntoll"});
+      fi.headers["X-Trace-Id"] = "123";
+      fi.api.get({path: "users/fxn"});
+      expect(this.server.requests[0].requestHeaders["X-Proxy-Token"])
+        .toEqual("abc");
+      expect(this.server.requests[0].requestHeaders["X-Trace-Id"])
+        .toEqual(undefined);
+      expect(this.server.requests[1].requestHeaders["X-Trace-Id"])
+        .toEqual("123");
+    });
+
+    it("should send a request's extra headers", function() {
+      var fi = fluidinfo({username: "username", password: "password",
+        headers: {"X-Proxy-Token": "abc", "X-Trace-Id": "session"}});
+      fi.query({select: ["fluiddb/about"], where: "has ntoll/rating",
+        headers: {"X-Trace-Id": "request"}});
+      var headers = this.server.requests[0].requestHeaders;
+      expect(headers["X-Proxy-Token"]).toEqual("abc");
+      expect(headers["X-Trace-Id"]).toEqual("request");
+      expect(headers["Authorization"]).not.toEqual(undefined);
+    });
+
     it("should work as a logged in user", function() {
       this.fi.api.get({path: "users/ntoll"})
       expect(this.server.requests[0].requestHeaders['Authorization'])
@@ -136,6 +187,369 @@ describe("Fluidinfo.js", function() {
     });
   });
 
+  /**
+   * Describes how the library uses bespoke transports to talk to Fluidinfo.
+   */
+  describe("Transports", function() {
+    beforeEach(function() {
+      var requests = [];
+      this.requests = requests;
+      this.transport = function(request) {
+        requests.push(request);
+      };
+    });
+
+    it("should complain if the transport isn't a function", function() {
+      try {
+        var fi = fluidinfo({transport: "xhr"});
+      } catch(e) {
+        var exception = e;
+      }
+      expect(exception.name).toEqual("ValueError");
+    });
+
+    it("should delegate the HTTP exchange to the transport", function() {
+      var fi = fluidinfo({username: "username", password: "password",
+        transport: this.transport});
+      fi.api.put({path: "about/foo/username/tag", data: 1.234});
+      expect(this.server.requests.length).toEqual(0);
+      expect(this.requests.length).toEqual(1);
+      var request = this.requests[0];
+      expect(request.method).toEqual("PUT");
+      expect(request.url)
+        .toEqual("https://fluiddb.fluidinfo.com/about/foo/username/tag");
+      expect(request.headers["Content-Type"])
+        .toEqual("application/vnd.fluiddb.value+json");
+      expect(request.headers["Authorization"]).not.toEqual(undefined);
+      expect(request.data).toEqual("1.234");
+      expect(request.async).toBeTruthy();
+    });
+
+    it("should build a simple result from a transport's response", function() {
+      var fi = fluidinfo({transport: this.transport});
+      var spy = sinon.spy();
+      fi.api.get({path: "objects/fakeObjectID/username/tag",
+        onSuccess: function(result) {
+          expect(result.status).toEqual(200);
+          expect(result.headers["Content-Type"])
+            .toEqual("application/vnd.fluiddb.value+json");
+          expect(result.data).toEqual(1.234);
+          expect(result.rawData).toEqual("1.234");
+          spy();
+        }});
+      this.requests[0].onComplete({status: 200, statusText: "OK",
+        headers: {"content-type": "application/vnd.fluiddb.value+json"},
+        responseText: "1.234"});
+      expect(spy.calledOnce).toBeTruthy();
+    });
+
+    it("should call onError when the transport reports a problem", function() {
+      var fi = fluidinfo({transport: this.transport});
+      var spy = sinon.spy();
+      fi.api.get({path: "users/ntoll", onError: function(result) {
+        expect(result.status).toEqual(404);
+        expect(result.headers["X-FluidDB-Error-Class"])
+          .toEqual("TNonexistentUser");
+        spy();
+      }});
+      this.requests[0].onComplete({status: 404, statusText: "Not Found",
+        headers: {"X-FluidDB-Error-Class": "TNonexistentUser"}});
+      expect(spy.calledOnce).toBeTruthy();
+    });
+
+    it("should return the result of a synchronous transport", function() {
+      var fi = fluidinfo({transport: function(request) {
+        return {status: 200, statusText: "OK",
+          headers: {"Content-Type": "application/json"},
+          responseText: '{"name": "ntoll"}'};
+      }});
+      var result = fi.api.get({path: "users/ntoll", async: false});
+      expect(result.status).toEqual(200);
+      expect(result.data.name).toEqual("ntoll");
+    });
+  });
+
+  describe("Node transport", function() {
+    /**
+     * Stands in for Node's Buffer (in browsers) with the parts the Node
+     * transport uses.
+     */
+    function bufferShim() {
+      var wrap = function(bytes) {
+        bytes.toString = function() {
+          return new TextDecoder().decode(bytes);
+        };
+        return bytes;
+      };
+      return {
+        from: function(data, offset, length) {
+          if(typeof data === "string") {
+            return wrap(new TextEncoder().encode(data));
+          }
+          if(offset === undefined) {
+            return wrap(new Uint8Array(data.slice(0)));
+          }
+          return wrap(new Uint8Array(data, offset, length));
+        },
+        concat: function(chunks) {
+          var size = 0;
+          var i;
+          for(i=0; i<chunks.length; i++) {
+            size += chunks[i].length;
+          }
+          var bytes = new Uint8Array(size);
+          size = 0;
+          for(i=0; i<chunks.length; i++) {
+            bytes.set(chunks[i], size);
+            size += chunks[i].length;
+          }
+          return wrap(bytes);
+        }
+      };
+    }
+
+    /**
+     * Stands in for Node's http and https modules, recording the requests
+     * made so tests can respond to them.
+     */
+    function fakeHttp() {
+      var http = {requests: []};
+      http.request = function(options, callback) {
+        var req = {options: options, chunks: [], ended: false,
+          destroyed: false, listeners: new Object()};
+        req.on = function(event, fn) {
+          req.listeners[event] = fn;
+          return req;
+        };
+        req.write = function(chunk, done) {
+          req.chunks.push(chunk);
+          if(done) {
+            done();
+          }
+        };
+        req.end = function() {
+          req.ended = true;
+        };
+        req.destroy = function() {
+          req.destroyed = true;
+        };
+        req.body = function() {
+          return Array.prototype.slice.call(Buffer.concat(req.chunks));
+        };
+        // ending is the event ending the response ("end" by default)
+        req.respond = function(status, headers, chunks, ending) {
+          var listeners = new Object();
+          var res = {statusCode: status, statusMessage: "OK",
+            headers: headers, on: function(event, fn) {
+              listeners[event] = fn;
+              return res;
+            }};
+          callback(res);
+          var i;
+          for(i=0; i<chunks.length; i++) {
+            listeners.data(Buffer.from(chunks[i]));
+          }
+          listeners[ending || "end"]();
+          if(ending !== "close") {
+            // like Node, the response is closed once it's done with
+            listeners.close();
+          }
+        };
+        http.requests.push(req);
+        return req;
+      };
+      return http;
+    }
+
+    beforeEach(function() {
+      var http = fakeHttp();
+      var modules = this.modules = [];
+      this.http = http;
+      this.saved = {require: window.require, Buffer: window.Buffer,
+        XMLHttpRequest: window.XMLHttpRequest};
+      window.require = function(name) {
+        modules.push(name);
+        return http;
+      };
+      if(typeof Buffer === "undefined") {
+        window.Buffer = bufferShim();
+      }
+      // the Node transport is chosen when there's no XHR
+      window.XMLHttpRequest = undefined;
+      this.fi = fluidinfo({username: "username", password: "password"});
+      window.XMLHttpRequest = this.saved.XMLHttpRequest;
+    });
+
+    afterEach(function() {
+      window.require = this.saved.require;
+      window.Buffer = this.saved.Buffer;
+    });
+
+    it("should send requests with Node's http modules", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: ["users", "ntoll"], args: {showAbout: true},
+        onSuccess: spy});
+      expect(this.modules).toEqual(["https"]);
+      var req = this.http.requests[0];
+      expect(req.options.method).toEqual("GET");
+      expect(req.options.hostname).toEqual("fluiddb.fluidinfo.com");
+      expect(req.options.path).toEqual("/users/ntoll?showAbout=true");
+      expect(req.options.headers["Authorization"])
+        .toEqual("Basic dXNlcm5hbWU6cGFzc3dvcmQ=");
+      expect(req.ended).toBeTruthy();
+      req.respond(200, {"content-type": "application/json"},
+        ['{"name": "Nicho', 'las"}']);
+      var result = spy.getCall(0).args[0];
+      expect(result.status).toEqual(200);
+      expect(result.headers["Content-Type"]).toEqual("application/json");
+      expect(result.rawData).toEqual('{"name": "Nicholas"}');
+      expect(result.data.name).toEqual("Nicholas");
+    });
+
+    it("should send payloads with their length", function() {
+      this.fi.api.put({path: "about/foo/username/tag", data: "ü"});
+      var req = this.http.requests[0];
+      expect(req.options.headers["Content-Length"]).toEqual(4);
+      expect(req.body()).toEqual([34, 195, 188, 34]);
+    });
+
+    it("should report network errors", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onError: spy});
+      this.http.requests[0].listeners.error(new Error("connect ECONNREFUSED"));
+      var error = spy.getCall(0).args[0];
+      expect(error instanceof fluidinfo.errors.NetworkError).toBeTruthy();
+      expect(error.status).toEqual(0);
+      expect(error.statusText).toEqual("connect ECONNREFUSED");
+    });
+
+    it("should report responses cut off before they're complete", function() {
+      var success = sinon.spy();
+      var error = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onSuccess: success,
+        onError: error});
+      this.http.requests[0].respond(200, {"content-type": "application/json"},
+        ['{"name": "Nicho'], "aborted");
+      expect(success.called).toBeFalsy();
+      expect(error.calledOnce).toBeTruthy();
+      var result = error.getCall(0).args[0];
+      expect(result instanceof fluidinfo.errors.NetworkError).toBeTruthy();
+      expect(result.statusText).toEqual(
+        "The connection closed before the response was complete.");
+    });
+
+    it("should report responses closed before they end", function() {
+      var error = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onError: error});
+      this.http.requests[0].respond(200, {"content-type": "application/json"},
+        ['{"name": "Nicho'], "close");
+      expect(error.calledOnce).toBeTruthy();
+      expect(error.getCall(0).args[0] instanceof fluidinfo.errors.NetworkError)
+        .toBeTruthy();
+    });
+
+    it("should report responses shorter than their length", function() {
+      var error = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onError: error});
+      this.http.requests[0].respond(200, {"content-type": "application/json",
+        "content-length": "20"}, ['{"name": "Nicho']);
+      expect(error.calledOnce).toBeTruthy();
+      expect(error.getCall(0).args[0] instanceof fluidinfo.errors.NetworkError)
+        .toBeTruthy();
+    });
+
+    it("should report successful responses with malformed JSON", function() {
+      var success = sinon.spy();
+      var error = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onSuccess: success,
+        onError: error});
+      this.http.requests[0].respond(200, {"content-type": "application/json"},
+        ['{"name": "Nicho']);
+      expect(success.called).toBeFalsy();
+      expect(error.calledOnce).toBeTruthy();
+      var result = error.getCall(0).args[0];
+      expect(result instanceof fluidinfo.errors.ServerError).toBeTruthy();
+      expect(result.status).toEqual(200);
+      expect(result.rawData).toEqual('{"name": "Nicho');
+      expect(result.message).toContain("Unable to parse the response: ");
+    });
+
+    it("should destroy the request when aborted", function() {
+      this.fi.api.get({path: "users/ntoll"}).abort();
+      expect(this.http.requests[0].destroyed).toBeTruthy();
+    });
+
+    it("should refuse synchronous requests", function() {
+      var fi = this.fi;
+      expect(function() {
+        fi.api.get({path: "users/ntoll", async: false});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "Synchronous requests are not supported under Node."));
+    });
+
+    it("should upload binary data", function() {
+      var bytes = new Uint8Array([0, 137, 80, 78, 71, 255]);
+      this.fi.api.put({path: "about/foo/username/image",
+        data: bytes.subarray(1, 5), contentType: "image/png"});
+      var req = this.http.requests[0];
+      expect(req.options.headers["Content-Type"]).toEqual("image/png");
+      expect(req.options.headers["Content-Length"]).toEqual(4);
+      expect(req.body()).toEqual([137, 80, 78, 71]);
+    });
+
+    it("should upload Blobs", function() {
+      var http = this.http;
+      this.fi.api.put({path: "about/foo/username/image",
+        data: new Blob([new Uint8Array([137, 80, 78, 71])]),
+        contentType: "image/png"});
+      waitsFor(function() {
+        return http.requests.length === 1;
+      }, "the Blob to be read", 500);
+      runs(function() {
+        var req = http.requests[0];
+        expect(req.options.headers["Content-Length"]).toEqual(4);
+        expect(req.body()).toEqual([137, 80, 78, 71]);
+        expect(req.ended).toBeTruthy();
+      });
+    });
+
+    it("should download binary data", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "about/foo/username/image",
+        responseType: "arraybuffer", onSuccess: spy});
+      var req = this.http.requests[0];
+      req.respond(200, {"content-type": "image/png"},
+        [new Uint8Array([137, 80]), new Uint8Array([78, 71])]);
+      var result = spy.getCall(0).args[0];
+      expect(Object.prototype.toString.call(result.data))
+        .toEqual("[object ArrayBuffer]");
+      expect(Array.prototype.slice.call(new Uint8Array(result.data)))
+        .toEqual([137, 80, 78, 71]);
+      expect(result.contentType).toEqual("image/png");
+    });
+
+    it("should report upload and download progress", function() {
+      var events = [];
+      var bytes = new Uint8Array(100000);
+      this.fi.api.put({path: "about/foo/username/image", data: bytes,
+        contentType: "image/png", onProgress: function(event) {
+          events.push(event.direction + " " + event.loaded + "/" + event.total);
+        }});
+      var req = this.http.requests[0];
+      expect(req.chunks.length).toEqual(2);
+      expect(req.ended).toBeTruthy();
+      req.respond(204, {"content-length": "4"}, ["ab", "cd"]);
+      expect(events).toEqual(["upload 65536/100000", "upload 100000/100000",
+        "download 2/4", "download 4/4"]);
+    });
+
+    it("should only write in chunks when progress is wanted", function() {
+      this.fi.api.put({path: "about/foo/username/image",
+        data: new Uint8Array(100000), contentType: "image/png"});
+      expect(this.http.requests[0].chunks.length).toEqual(1);
+    });
+  });
+
   /**
    * Describes the behaviour of functions that allow direct reference to
    * REST API endpoints.
@@ -337,6 +751,18 @@ describe("Fluidinfo.js", function() {
         expect(spy.calledOnce).toBeTruthy();
       });
 
+      it("should call onError when the request never completed", function() {
+        var successSpy = sinon.spy();
+        var errorSpy = sinon.spy();
+        this.fi.api.get({path: "users/ntoll", onSuccess: successSpy,
+          onError: errorSpy});
+        // a network failure results in a zero status
+        this.server.requests[0].respond(0, {}, "");
+        expect(successSpy.called).toBeFalsy();
+        expect(errorSpy.calledOnce).toBeTruthy();
+        expect(errorSpy.getCall(0).args[0].status).toEqual(0);
+      });
+
       it("should return a simple response object for onSuccess when async=False", function() {
         var options = new Object();
         options.path = "namespaces/test";
@@ -1496,6 +1922,2378 @@ describe("Fluidinfo.js", function() {
     });
   });
 
+  /**
+   * Describes how calls to the library report their results through Promises
+   * as well as the onSuccess / onError callbacks.
+   */
+  describe("Promises", function() {
+    it("should resolve the Promise returned from an API call", function() {
+      var spy = sinon.spy();
+      var callbackSpy = sinon.spy();
+      var promise = this.fi.api.get({path: "users/ntoll",
+        onSuccess: callbackSpy});
+      promise.then(spy);
+      this.server.requests[0].respond(200,
+        {"Content-Type": "application/json"}, '{"name": "ntoll"}');
+      waitsFor(function() {
+        return spy.called;
+      }, "the promise to resolve", 500);
+      runs(function() {
+        expect(callbackSpy.calledOnce).toBeTruthy();
+        expect(spy.getCall(0).args[0].status).toEqual(200);
+        expect(spy.getCall(0).args[0].data.name).toEqual("ntoll");
+      });
+    });
+
+    it("should reject the Promise returned from an API call", function() {
+      var spy = sinon.spy();
+      var promise = this.fi.api.get({path: "users/ntoll"});
+      promise.then(null, spy);
+      this.server.requests[0].respond(404, {}, "");
+      waitsFor(function() {
+        return spy.called;
+      }, "the promise to reject", 500);
+      runs(function() {
+        expect(spy.getCall(0).args[0].status).toEqual(404);
+      });
+    });
+
+    it("should resolve query() with the processed results", function() {
+      var spy = sinon.spy();
+      this.fi.query({select: ["fluiddb/about"], where: "has ntoll/foo"})
+        .then(spy);
+      this.server.requests[0].respond(200,
+        {"Content-Type": "application/json"},
+        '{"results": {"id": {"abc": {"fluiddb/about": {"value": "foo"}}}}}');
+      waitsFor(function() {
+        return spy.called;
+      }, "the promise to resolve", 500);
+      runs(function() {
+        var result = spy.getCall(0).args[0];
+        expect(result.data.length).toEqual(1);
+        expect(result.data[0]["fluiddb/about"]).toEqual("foo");
+      });
+    });
+
+    it("should resolve update() and tag() when successful", function() {
+      var spy = sinon.spy();
+      this.fi.tag({about: "foo", values: {"ntoll/foo": 5}}).then(spy);
+      this.server.requests[0].respond(204, {}, "");
+      waitsFor(function() {
+        return spy.called;
+      }, "the promise to resolve", 500);
+      runs(function() {
+        expect(spy.getCall(0).args[0].status).toEqual(204);
+      });
+    });
+
+    it("should reject delete() when a problem occurs", function() {
+      var spy = sinon.spy();
+      this.fi.delete({tags: ["ntoll/foo"], where: "has ntoll/foo"})
+        .then(null, spy);
+      this.server.requests[0].respond(401, {}, "");
+      waitsFor(function() {
+        return spy.called;
+      }, "the promise to reject", 500);
+      runs(function() {
+        expect(spy.getCall(0).args[0].status).toEqual(401);
+      });
+    });
+
+    it("should reject getObject() if more than one object matches", function() {
+      var spy = sinon.spy();
+      this.fi.getObject({select: ["fluiddb/about"], about: "foo"})
+        .then(null, spy);
+      this.server.requests[0].respond(200,
+        {"Content-Type": "application/json"},
+        '{"results": {"id": {"a": {}, "b": {}}}}');
+      waitsFor(function() {
+        return spy.called;
+      }, "the promise to reject", 500);
+      runs(function() {
+        expect(spy.getCall(0).args[0].data.length).toEqual(2);
+      });
+    });
+
+    it("should resolve createObject() with the new object", function() {
+      var spy = sinon.spy();
+      this.fi.createObject({about: "foo"}).then(spy);
+      this.server.requests[0].respond(201,
+        {"Content-Type": "application/json"},
+        '{"id": "12345", "URI": "http://fluiddb.fluidinfo.com/about/foo"}');
+      waitsFor(function() {
+        return spy.called;
+      }, "the promise to resolve", 500);
+      runs(function() {
+        var obj = spy.getCall(0).args[0].data;
+        expect(obj.id).toEqual("12345");
+        expect(obj["fluiddb/about"]).toEqual("foo");
+      });
+    });
+  });
+
+  /**
+   * Describes how requests can time out or be cancelled.
+   */
+  describe("Timeouts and cancellation", function() {
+    beforeEach(function() {
+      this.clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+      this.clock.restore();
+    });
+
+    it("should use the session's timeout", function() {
+      var fi = fluidinfo({timeout: 1000});
+      expect(fi.timeout).toEqual(1000);
+      var spy = sinon.spy();
+      fi.api.get({path: "users/ntoll", onError: spy});
+      this.clock.tick(999);
+      expect(spy.called).toBeFalsy();
+      this.clock.tick(1);
+      expect(spy.calledOnce).toBeTruthy();
+      var error = spy.getCall(0).args[0];
+      expect(error.name).toEqual("TimeoutError");
+      expect(error.status).toEqual(0);
+      expect(this.server.requests[0].aborted).toBeTruthy();
+    });
+
+    it("should allow the timeout to be set per request", function() {
+      var fi = fluidinfo({timeout: 1000});
+      var spy = sinon.spy();
+      fi.api.get({path: "users/ntoll", timeout: 50, onError: spy});
+      this.clock.tick(50);
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].name).toEqual("TimeoutError");
+    });
+
+    it("should not time out a request that has completed", function() {
+      var successSpy = sinon.spy();
+      var errorSpy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", timeout: 50,
+        onSuccess: successSpy, onError: errorSpy});
+      this.server.requests[0].respond(200, {}, "");
+      this.clock.tick(100);
+      expect(successSpy.calledOnce).toBeTruthy();
+      expect(errorSpy.called).toBeFalsy();
+    });
+
+    it("should ignore a response that arrives after the timeout", function() {
+      var successSpy = sinon.spy();
+      var errorSpy = sinon.spy();
+      var fi = fluidinfo({transport: function(request) {
+        setTimeout(function() {
+          request.onComplete({status: 200, statusText: "OK"});
+        }, 100);
+      }});
+      fi.api.get({path: "users/ntoll", timeout: 50,
+        onSuccess: successSpy, onError: errorSpy});
+      this.clock.tick(100);
+      expect(errorSpy.calledOnce).toBeTruthy();
+      expect(successSpy.called).toBeFalsy();
+    });
+
+    it("should return a handle that aborts an API call", function() {
+      var spy = sinon.spy();
+      var handle = this.fi.api.get({path: "users/ntoll", onError: spy});
+      handle.abort();
+      expect(this.server.requests[0].aborted).toBeTruthy();
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].name).toEqual("AbortError");
+    });
+
+    it("should return a handle that aborts a query", function() {
+      var spy = sinon.spy();
+      var handle = this.fi.query({select: ["fluiddb/about"],
+        where: "has ntoll/foo", onError: spy});
+      handle.abort();
+      expect(this.server.requests[0].aborted).toBeTruthy();
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].name).toEqual("AbortError");
+    });
+
+    it("should return a handle that aborts an update", function() {
+      var spy = sinon.spy();
+      var handle = this.fi.update({values: {"ntoll/foo": 5},
+        where: "has ntoll/foo", onError: spy});
+      handle.abort();
+      expect(this.server.requests[0].aborted).toBeTruthy();
+      expect(spy.getCall(0).args[0].name).toEqual("AbortError");
+    });
+
+    it("should pass the timeout on from query and update", function() {
+      var spy = sinon.spy();
+      this.fi.query({select: ["fluiddb/about"], where: "has ntoll/foo",
+        timeout: 10, onError: spy});
+      this.fi.update({values: {"ntoll/foo": 5}, where: "has ntoll/foo",
+        timeout: 10, onError: spy});
+      this.clock.tick(10);
+      expect(spy.calledTwice).toBeTruthy();
+      expect(spy.getCall(0).args[0].name).toEqual("TimeoutError");
+      expect(spy.getCall(1).args[0].name).toEqual("TimeoutError");
+    });
+  });
+
+  /**
+   * Describes how requests that fail for transient reasons are retried.
+   */
+  describe("Retries", function() {
+    beforeEach(function() {
+      this.clock = sinon.useFakeTimers();
+      this.fi = fluidinfo({username: "username", password: "password",
+        retry: {attempts: 3, delay: 100, jitter: 0}});
+    });
+
+    afterEach(function() {
+      this.clock.restore();
+    });
+
+    it("should not retry unless a retry policy is given", function() {
+      var fi = fluidinfo();
+      var spy = sinon.spy();
+      fi.api.get({path: "users/ntoll", onError: spy});
+      this.server.requests[0].respond(503, {}, "");
+      this.clock.tick(10000);
+      expect(this.server.requests.length).toEqual(1);
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].retries).toEqual(0);
+    });
+
+    it("should retry a GET after a server error", function() {
+      var successSpy = sinon.spy();
+      var errorSpy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onSuccess: successSpy,
+        onError: errorSpy});
+      this.server.requests[0].respond(503, {}, "");
+      expect(this.server.requests.length).toEqual(1);
+      this.clock.tick(100);
+      expect(this.server.requests.length).toEqual(2);
+      expect(this.server.requests[1].url).toEqual(this.server.requests[0].url);
+      this.server.requests[1].respond(200, {}, "");
+      expect(errorSpy.called).toBeFalsy();
+      expect(successSpy.calledOnce).toBeTruthy();
+      expect(successSpy.getCall(0).args[0].retries).toEqual(1);
+    });
+
+    it("should back off exponentially and give up after the last attempt", function() {
+      var spy = sinon.spy();
+      this.fi.api.put({path: "about/foo/username/tag", data: 1, onError: spy});
+      this.server.requests[0].respond(500, {}, "");
+      this.clock.tick(100);
+      this.server.requests[1].respond(500, {}, "");
+      this.clock.tick(199);
+      expect(this.server.requests.length).toEqual(2);
+      this.clock.tick(1);
+      expect(this.server.requests.length).toEqual(3);
+      expect(this.server.requests[2].requestBody).toEqual("1");
+      this.server.requests[2].respond(502, {}, "");
+      this.clock.tick(10000);
+      expect(this.server.requests.length).toEqual(3);
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].status).toEqual(502);
+      expect(spy.getCall(0).args[0].retries).toEqual(2);
+    });
+
+    it("should retry when the network drops", function() {
+      this.fi.api.delete({path: "about/foo/username/tag"});
+      this.server.requests[0].respond(0, {}, "");
+      this.clock.tick(100);
+      expect(this.server.requests.length).toEqual(2);
+      expect(this.server.requests[1].method).toEqual("DELETE");
+    });
+
+    it("should retry a request that timed out", function() {
+      this.fi.api.head({path: "about/foo/username/tag", timeout: 50});
+      this.clock.tick(50);
+      expect(this.server.requests[0].aborted).toBeTruthy();
+      this.clock.tick(100);
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should not retry client errors", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onError: spy});
+      this.server.requests[0].respond(404, {}, "");
+      this.clock.tick(10000);
+      expect(this.server.requests.length).toEqual(1);
+      expect(spy.calledOnce).toBeTruthy();
+    });
+
+    it("should not retry a POST unless explicitly enabled", function() {
+      this.fi.api.post({path: "objects"});
+      this.server.requests[0].respond(503, {}, "");
+      this.clock.tick(10000);
+      expect(this.server.requests.length).toEqual(1);
+      this.fi.api.post({path: "objects",
+        retry: {delay: 100, jitter: 0, methods: ["POST"]}});
+      this.server.requests[1].respond(503, {}, "");
+      this.clock.tick(100);
+      expect(this.server.requests.length).toEqual(3);
+    });
+
+    it("should allow retries to be disabled per request", function() {
+      this.fi.api.get({path: "users/ntoll", retry: false});
+      this.server.requests[0].respond(503, {}, "");
+      this.clock.tick(10000);
+      expect(this.server.requests.length).toEqual(1);
+    });
+
+    it("should honour the Retry-After header", function() {
+      this.fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(503, {"Retry-After": "2"}, "");
+      this.clock.tick(1999);
+      expect(this.server.requests.length).toEqual(1);
+      this.clock.tick(1);
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should fail rather than retry early if Retry-After exceeds maxDelay", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onError: spy});
+      this.server.requests[0].respond(503, {"Retry-After": "60"}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].retries).toEqual(0);
+      this.clock.tick(60000);
+      expect(this.server.requests.length).toEqual(1);
+    });
+
+    it("should pass the retry policy on from query", function() {
+      this.fi.query({select: ["fluiddb/about"], where: "has ntoll/foo",
+        retry: false});
+      this.server.requests[0].respond(503, {}, "");
+      this.clock.tick(10000);
+      expect(this.server.requests.length).toEqual(1);
+    });
+
+    it("should stop retrying when aborted", function() {
+      var spy = sinon.spy();
+      var handle = this.fi.api.get({path: "users/ntoll", onError: spy});
+      this.server.requests[0].respond(503, {}, "");
+      handle.abort();
+      this.clock.tick(10000);
+      expect(this.server.requests.length).toEqual(1);
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].name).toEqual("AbortError");
+    });
+  });
+
+  /**
+   * Describes how requests and responses can be intercepted.
+   */
+  describe("Interceptors", function() {
+    it("should complain if an interceptor isn't a function", function() {
+      try {
+        this.fi.interceptors.request.use("foo");
+      } catch(e) {
+        var exception = e;
+      }
+      expect(exception.name).toEqual("ValueError");
+    });
+
+    it("should allow request interceptors to add headers", function() {
+      this.fi.interceptors.request.use(function(request) {
+        expect(request.method).toEqual("GET");
+        expect(request.path).toEqual("users/ntoll");
+        request.headers["X-Trace-Id"] = "abc";
+      });
+      this.fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[0].requestHeaders["X-Trace-Id"])
+        .toEqual("abc");
+    });
+
+    it("should allow request interceptors to rewrite the URL", function() {
+      this.fi.interceptors.request.use(function(request) {
+        return {method: request.method,
+          url: request.url.replace("https://fluiddb.fluidinfo.com/",
+            "https://proxy.example.com/fluidinfo/"),
+          headers: request.headers, data: request.data};
+      });
+      this.fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[0].url)
+        .toEqual("https://proxy.example.com/fluidinfo/users/ntoll");
+    });
+
+    it("should allow request interceptors to short-circuit a request", function() {
+      var second = sinon.spy();
+      var spy = sinon.spy();
+      this.fi.interceptors.request.use(function(request) {
+        request.response = {status: 200, statusText: "OK",
+          headers: {"Content-Type": "application/json"},
+          responseText: '{"name": "ntoll"}'};
+      });
+      this.fi.interceptors.request.use(second);
+      this.fi.api.get({path: "users/ntoll", onSuccess: spy});
+      expect(this.server.requests.length).toEqual(0);
+      expect(second.called).toBeFalsy();
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].data.name).toEqual("ntoll");
+    });
+
+    it("should allow response interceptors to modify results", function() {
+      var spy = sinon.spy();
+      this.fi.interceptors.response.use(function(result, request) {
+        expect(request.url)
+          .toEqual("https://fluiddb.fluidinfo.com/users/ntoll");
+        result.message = result.headers["X-FluidDB-Error-Class"];
+      });
+      this.fi.api.get({path: "users/ntoll", onError: spy});
+      this.server.requests[0].respond(404,
+        {"X-FluidDB-Error-Class": "TNonexistentUser"}, "");
+      expect(spy.getCall(0).args[0].message).toEqual("TNonexistentUser");
+    });
+
+    it("should allow response interceptors to replace results", function() {
+      var successSpy = sinon.spy();
+      var errorSpy = sinon.spy();
+      this.fi.interceptors.response.use(function(result) {
+        if(result.status === 404) {
+          return {status: 200, headers: {}, data: null};
+        }
+      });
+      this.fi.api.get({path: "users/ntoll", onSuccess: successSpy,
+        onError: errorSpy});
+      this.server.requests[0].respond(404, {}, "");
+      expect(errorSpy.called).toBeFalsy();
+      expect(successSpy.getCall(0).args[0].data).toEqual(null);
+    });
+
+    it("should apply to the helper functions", function() {
+      var spy = sinon.spy();
+      this.fi.interceptors.request.use(function(request) {
+        request.headers["X-Trace-Id"] = "abc";
+      });
+      this.fi.interceptors.response.use(spy);
+      this.fi.query({select: ["fluiddb/about"], where: "has ntoll/foo"});
+      expect(this.server.requests[0].requestHeaders["X-Trace-Id"])
+        .toEqual("abc");
+      this.server.requests[0].respond(200,
+        {"Content-Type": "application/json"}, '{"results": {"id": {}}}');
+      expect(spy.calledOnce).toBeTruthy();
+    });
+
+    it("should stop calling an interceptor once ejected", function() {
+      var spy = sinon.spy();
+      var id = this.fi.interceptors.request.use(spy);
+      this.fi.interceptors.request.eject(id);
+      this.fi.api.get({path: "users/ntoll"});
+      expect(spy.called).toBeFalsy();
+    });
+  });
+
+  /**
+   * Describes the typed errors reported by the library.
+   */
+  describe("Errors", function() {
+    it("should throw typed errors when called incorrectly", function() {
+      try {
+        this.fi.query({where: "has ntoll/foo"});
+      } catch(e) {
+        var exception = e;
+      }
+      expect(exception instanceof fluidinfo.errors.ValueError).toBeTruthy();
+      expect(exception instanceof fluidinfo.errors.FluidinfoError)
+        .toBeTruthy();
+      expect(exception instanceof Error).toBeTruthy();
+      expect(exception.name).toEqual("ValueError");
+      expect(exception.message).toEqual("Missing select option.");
+      expect(exception.stack).toBeTruthy();
+    });
+
+    it("should build errors from the X-FluidDB-Error-Class header", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "tags/ntoll/foo", onError: spy});
+      this.server.requests[0].respond(404,
+        {"X-FluidDB-Error-Class": "TNonexistentTag",
+         "X-FluidDB-Path": "ntoll/foo"}, "");
+      var error = spy.getCall(0).args[0];
+      expect(error instanceof fluidinfo.errors.NonexistentTag).toBeTruthy();
+      expect(error instanceof fluidinfo.errors.FluidinfoError).toBeTruthy();
+      expect(error.name).toEqual("NonexistentTag");
+      expect(error.errorClass).toEqual("TNonexistentTag");
+      expect(error.path).toEqual("ntoll/foo");
+      expect(error.status).toEqual(404);
+      expect(error.method).toEqual("GET");
+      expect(error.url).toEqual("https://fluiddb.fluidinfo.com/tags/ntoll/foo");
+      expect(error.message).toContain("ntoll/foo");
+      expect(typeof(error.request)).toEqual("object");
+    });
+
+    it("should use the X-FluidDB-Message header as the message", function() {
+      var spy = sinon.spy();
+      this.fi.api.put({path: "about/foo/ntoll/foo", data: 1, onError: spy});
+      this.server.requests[0].respond(401,
+        {"X-FluidDB-Error-Class": "TPathPermissionDenied",
+         "X-FluidDB-Message": "No permission."}, "");
+      var error = spy.getCall(0).args[0];
+      expect(error instanceof fluidinfo.errors.PermissionDenied).toBeTruthy();
+      expect(error.message).toEqual("No permission.");
+    });
+
+    it("should fall back to the status code", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onError: spy});
+      this.fi.api.get({path: "users/fxn", onError: spy});
+      this.fi.api.get({path: "users/terrycojones", onError: spy});
+      this.server.requests[0].respond(401, {}, "");
+      this.server.requests[1].respond(500, {}, "");
+      this.server.requests[2].respond(0, {}, "");
+      expect(spy.getCall(0).args[0] instanceof
+        fluidinfo.errors.AuthorizationError).toBeTruthy();
+      expect(spy.getCall(1).args[0] instanceof
+        fluidinfo.errors.ServerError).toBeTruthy();
+      expect(spy.getCall(2).args[0] instanceof
+        fluidinfo.errors.NetworkError).toBeTruthy();
+    });
+
+    it("should report aborted requests as an AbortError", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onError: spy}).abort();
+      var error = spy.getCall(0).args[0];
+      expect(error instanceof fluidinfo.errors.AbortError).toBeTruthy();
+      expect(error.url).toEqual("https://fluiddb.fluidinfo.com/users/ntoll");
+    });
+
+    it("should reject Promises with the typed error", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "tags/ntoll/foo"}).then(null, spy);
+      this.server.requests[0].respond(404,
+        {"X-FluidDB-Error-Class": "TNonexistentTag"}, "");
+      waitsFor(function() {
+        return spy.called;
+      }, "the promise to reject", 500);
+      runs(function() {
+        expect(spy.getCall(0).args[0] instanceof
+          fluidinfo.errors.NonexistentTag).toBeTruthy();
+      });
+    });
+  });
+
+  /**
+   * Describes how requests that change data are queued while offline.
+   */
+  describe("Offline queue", function() {
+    beforeEach(function() {
+      var items = {};
+      this.storage = {
+        getItem: function(key) {
+          return items[key] === undefined ? null : items[key];
+        },
+        setItem: function(key, value) {
+          items[key] = value;
+        }
+      };
+      this.settings = {storage: this.storage, onReplay: sinon.spy(),
+        onReplayError: sinon.spy(), onConflict: sinon.spy()};
+      this.fi = fluidinfo({username: "username", password: "password",
+        offline: this.settings});
+    });
+
+    it("should not queue requests unless enabled", function() {
+      var fi = fluidinfo({username: "username", password: "password"});
+      var spy = sinon.spy();
+      fi.tag({about: "foo", values: {"ntoll/foo": 5}, onError: spy});
+      this.server.requests[0].respond(0, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      expect(fi.offlineQueue.entries().length).toEqual(0);
+    });
+
+    it("should queue and persist writes that can't reach Fluidinfo", function() {
+      var spy = sinon.spy();
+      this.fi.tag({about: "foo", values: {"ntoll/foo": 5}, onError: spy});
+      this.server.requests[0].respond(0, {}, "");
+      expect(spy.called).toBeFalsy();
+      var entries = this.fi.offlineQueue.entries();
+      expect(entries.length).toEqual(1);
+      expect(entries[0].method).toEqual("PUT");
+      expect(entries[0].path).toEqual("values");
+      var stored = JSON.parse(this.storage.getItem("fluidinfo.offlineQueue"));
+      expect(stored.length).toEqual(1);
+      expect(stored[0].data.queries[0][0]).toEqual('fluiddb/about="foo"');
+    });
+
+    it("should not queue reads", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onError: spy});
+      this.server.requests[0].respond(0, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      expect(this.fi.offlineQueue.entries().length).toEqual(0);
+    });
+
+    it("should not queue requests with offline set to false", function() {
+      var spy = sinon.spy();
+      this.fi.api.put({path: "about/foo/ntoll/foo", data: 1, offline: false,
+        onError: spy});
+      this.server.requests[0].respond(0, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+    });
+
+    it("should queue later writes behind earlier ones", function() {
+      this.fi.api.put({path: "about/foo/ntoll/foo", data: 1});
+      this.server.requests[0].respond(0, {}, "");
+      this.fi.createObject({about: "bar"});
+      // the replay of the first entry is attempted straight away
+      expect(this.server.requests.length).toEqual(2);
+      expect(this.server.requests[1].url)
+        .toEqual("https://fluiddb.fluidinfo.com/about/foo/ntoll/foo");
+      var entries = this.fi.offlineQueue.entries();
+      expect(entries.length).toEqual(2);
+      expect(entries[1].method).toEqual("POST");
+    });
+
+    it("should only replay writes as the user who queued them", function() {
+      var spy = sinon.spy();
+      this.fi.api.put({path: "about/foo/username/foo", data: 1, onSuccess: spy});
+      this.server.requests[0].respond(0, {}, "");
+      expect(this.fi.offlineQueue.entries()[0].username).toEqual("username");
+      this.fi.logout();
+      // anonymous writes needn't wait for the held back entry
+      this.fi.api.put({path: "about/bar/username/foo", data: 2});
+      expect(this.server.requests.length).toEqual(2);
+      expect(this.server.requests[1].requestHeaders["Authorization"])
+        .toBeUndefined();
+      this.server.requests[1].respond(204, {}, "");
+      expect(this.server.requests.length).toEqual(2);
+      // nor is it replayed by later sessions sharing the storage
+      var other = fluidinfo({username: "ntoll", password: "secret",
+        offline: {storage: this.storage}});
+      other.offlineQueue.replay();
+      expect(this.server.requests.length).toEqual(2);
+      expect(other.offlineQueue.entries().length).toEqual(1);
+      this.fi.login({username: "username", password: "password"});
+      this.server.requests[2].respond(200, {"Content-Type": "application/json"},
+        '{"name": "User", "id": "a-uuid"}');
+      var replay = this.server.requests[3];
+      expect(replay.url)
+        .toEqual("https://fluiddb.fluidinfo.com/about/foo/username/foo");
+      expect(replay.requestHeaders["Authorization"])
+        .toEqual("Basic dXNlcm5hbWU6cGFzc3dvcmQ=");
+      replay.respond(204, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      expect(this.fi.offlineQueue.entries().length).toEqual(0);
+      expect(this.settings.onReplayError.called).toBeFalsy();
+    });
+
+    it("should replay queued writes in order and call their callbacks", function() {
+      var first = sinon.spy();
+      var second = sinon.spy();
+      this.fi.api.put({path: "about/foo/ntoll/foo", data: 1, onSuccess: first});
+      this.server.requests[0].respond(0, {}, "");
+      this.fi.api.delete({path: "about/foo/ntoll/bar", onSuccess: second});
+      // the first replay attempt fails as Fluidinfo still can't be reached
+      this.server.requests[1].respond(0, {}, "");
+      expect(this.fi.offlineQueue.entries().length).toEqual(2);
+      this.fi.offlineQueue.replay();
+      expect(this.server.requests[2].method).toEqual("PUT");
+      expect(this.server.requests[2].requestBody).toEqual("1");
+      this.server.requests[2].respond(204, {}, "");
+      expect(first.calledOnce).toBeTruthy();
+      expect(this.server.requests[3].method).toEqual("DELETE");
+      this.server.requests[3].respond(204, {}, "");
+      expect(second.calledOnce).toBeTruthy();
+      expect(this.settings.onReplay.calledTwice).toBeTruthy();
+      expect(this.fi.offlineQueue.entries().length).toEqual(0);
+      expect(this.storage.getItem("fluidinfo.offlineQueue")).toEqual("[]");
+    });
+
+    it("should replay entries persisted by an earlier session", function() {
+      this.fi.api.put({path: "about/foo/ntoll/foo", data: 1});
+      this.server.requests[0].respond(0, {}, "");
+      var fi = fluidinfo({username: "username", password: "password",
+        offline: this.settings});
+      expect(fi.offlineQueue.entries().length).toEqual(1);
+      fi.offlineQueue.replay();
+      this.server.requests[1].respond(204, {}, "");
+      expect(this.settings.onReplay.calledOnce).toBeTruthy();
+      expect(this.settings.onReplay.getCall(0).args[0].path)
+        .toEqual("about/foo/ntoll/foo");
+    });
+
+    it("should report conflicts and failures when replaying", function() {
+      var spy = sinon.spy();
+      this.fi.createObject({about: "foo", onError: spy});
+      this.server.requests[0].respond(0, {}, "");
+      this.fi.offlineQueue.replay();
+      this.server.requests[1].respond(412, {}, "");
+      expect(this.settings.onConflict.calledOnce).toBeTruthy();
+      expect(this.settings.onReplayError.calledOnce).toBeTruthy();
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].status).toEqual(412);
+      expect(this.fi.offlineQueue.entries().length).toEqual(0);
+    });
+
+    it("should remove an aborted request from the queue", function() {
+      var spy = sinon.spy();
+      var handle = this.fi.api.put({path: "about/foo/ntoll/foo", data: 1,
+        onError: spy});
+      this.server.requests[0].respond(0, {}, "");
+      handle.abort();
+      expect(this.fi.offlineQueue.entries().length).toEqual(0);
+      expect(spy.getCall(0).args[0].name).toEqual("AbortError");
+    });
+
+    it("should ignore an abort once the request has been replayed", function() {
+      var events = [];
+      var handle = this.fi.api.put({path: "about/foo/ntoll/foo", data: 1,
+        onSuccess: function(result) {
+          events.push("success");
+        },
+        onError: function(error) {
+          events.push("error " + error.name);
+        }});
+      this.server.requests[0].respond(0, {}, "");
+      // a successful request means the queue is replayed
+      this.fi.api.get({path: "users/ntoll"});
+      this.server.requests[1].respond(200, {}, "");
+      this.server.requests[2].respond(204, {}, "");
+      handle.abort();
+      expect(events).toEqual(["success"]);
+    });
+
+    it("should cancel the replay of a request aborted meanwhile", function() {
+      var events = [];
+      var handle = this.fi.api.put({path: "about/foo/ntoll/foo", data: 1,
+        onSuccess: function(result) {
+          events.push("success");
+        },
+        onError: function(error) {
+          events.push("error " + error.name);
+        }});
+      this.server.requests[0].respond(0, {}, "");
+      this.fi.api.get({path: "users/ntoll"});
+      this.server.requests[1].respond(200, {}, "");
+      expect(this.server.requests[2].method).toEqual("PUT");
+      handle.abort();
+      expect(this.server.requests[2].aborted).toBeTruthy();
+      expect(events).toEqual(["error AbortError"]);
+      expect(this.fi.offlineQueue.entries().length).toEqual(0);
+      expect(this.settings.onReplayError.called).toBeFalsy();
+    });
+
+    it("should not queue requests with their own auth or headers", function() {
+      var spy = sinon.spy();
+      this.fi.api.put({path: "about/foo/ntoll/foo", data: 1, auth: null,
+        onError: spy});
+      this.fi.api.put({path: "about/bar/ntoll/foo", data: 1,
+        headers: {"X-Trace": "abc"}, onError: spy});
+      this.server.requests[0].respond(0, {}, "");
+      this.server.requests[1].respond(0, {}, "");
+      expect(spy.calledTwice).toBeTruthy();
+      expect(spy.getCall(0).args[0].name).toEqual("NetworkError");
+      expect(this.fi.offlineQueue.entries().length).toEqual(0);
+    });
+
+    it("should allow the queue to be cleared", function() {
+      this.fi.api.put({path: "about/foo/ntoll/foo", data: 1});
+      this.server.requests[0].respond(0, {}, "");
+      this.fi.offlineQueue.clear();
+      expect(this.fi.offlineQueue.entries().length).toEqual(0);
+      expect(this.storage.getItem("fluidinfo.offlineQueue")).toEqual("[]");
+    });
+  });
+
+  /**
+   * Describes how the number of requests in flight is limited.
+   */
+  describe("Scheduler", function() {
+    beforeEach(function() {
+      this.fi = fluidinfo({username: "username", password: "password",
+        maxConcurrentRequests: 2});
+    });
+
+    it("should not limit requests by default", function() {
+      var fi = fluidinfo({username: "username", password: "password"});
+      var i;
+      for(i=0; i<10; i++) {
+        fi.tag({about: "foo" + i, values: {"ntoll/foo": i}});
+      }
+      expect(this.server.requests.length).toEqual(10);
+      expect(fi.scheduler.active()).toEqual(10);
+    });
+
+    it("should queue requests beyond the limit", function() {
+      var i;
+      for(i=0; i<5; i++) {
+        this.fi.tag({about: "foo" + i, values: {"ntoll/foo": i}});
+      }
+      expect(this.server.requests.length).toEqual(2);
+      expect(this.fi.scheduler.active()).toEqual(2);
+      expect(this.fi.scheduler.pending()).toEqual(3);
+      this.server.requests[0].respond(204, {}, "");
+      expect(this.server.requests.length).toEqual(3);
+      expect(this.fi.scheduler.pending()).toEqual(2);
+    });
+
+    it("should free a request's place if it fails to start", function() {
+      var calls = 0;
+      var fi = fluidinfo({maxConcurrentRequests: 1,
+        transport: function(request) {
+          calls++;
+          if(calls === 1) {
+            throw new Error("broken");
+          }
+          request.onComplete({status: 200, headers: {}, responseText: ""});
+        }});
+      var idle = sinon.spy();
+      var onSuccess = sinon.spy();
+      fi.on("idle", idle);
+      fi.api.get({path: "users/ntoll"});
+      expect(fi.scheduler.active()).toEqual(0);
+      expect(idle.calledOnce).toBeTruthy();
+      fi.api.get({path: "users/fxn", onSuccess: onSuccess});
+      expect(onSuccess.calledOnce).toBeTruthy();
+      expect(idle.calledTwice).toBeTruthy();
+    });
+
+    it("should still go idle if sending a request throws", function() {
+      var idle = sinon.spy();
+      var fi = this.fi;
+      fi.on("idle", idle);
+      var broken = function() {
+        throw new Error("broken");
+      };
+      fi.on("request", broken);
+      expect(function() {
+        fi.api.get({path: "users/ntoll"});
+      }).toThrow(new Error("broken"));
+      expect(idle.calledOnce).toBeTruthy();
+      fi.off("request", broken);
+      fi.api.get({path: "users/fxn"});
+      this.server.requests[0].respond(200, {}, "");
+      expect(idle.calledTwice).toBeTruthy();
+    });
+
+    it("should send waiting requests first in, first out", function() {
+      var i;
+      for(i=0; i<5; i++) {
+        this.fi.tag({about: "foo" + i, values: {"ntoll/foo": i}});
+      }
+      for(i=0; i<3; i++) {
+        this.server.requests[i].respond(204, {}, "");
+      }
+      for(i=0; i<5; i++) {
+        expect(JSON.parse(this.server.requests[i].requestBody).queries[0][0])
+          .toEqual('fluiddb/about="foo' + i + '"');
+      }
+    });
+
+    it("should send waiting reads before writes", function() {
+      this.fi.tag({about: "foo", values: {"ntoll/foo": 1}});
+      this.fi.tag({about: "bar", values: {"ntoll/foo": 2}});
+      this.fi.tag({about: "baz", values: {"ntoll/foo": 3}});
+      this.fi.api.get({path: "users/ntoll"});
+      this.fi.api.put({path: "about/qux/ntoll/foo", data: 4, priority: 5});
+      this.server.requests[0].respond(204, {}, "");
+      this.server.requests[1].respond(204, {}, "");
+      expect(this.server.requests[2].url)
+        .toEqual("https://fluiddb.fluidinfo.com/about/qux/ntoll/foo");
+      expect(this.server.requests[3].method).toEqual("GET");
+    });
+
+    it("should free the place of a request that is aborted", function() {
+      var first = this.fi.api.get({path: "users/ntoll"});
+      this.fi.api.get({path: "users/terrycojones"});
+      var third = this.fi.api.get({path: "users/barshirtcliff"});
+      this.fi.api.get({path: "users/onigiri"});
+      third.abort();
+      expect(this.fi.scheduler.pending()).toEqual(1);
+      first.abort();
+      expect(this.server.requests.length).toEqual(3);
+      expect(this.server.requests[2].url)
+        .toEqual("https://fluiddb.fluidinfo.com/users/onigiri");
+    });
+
+    it("should call the drain listeners once everything has completed", function() {
+      var spy = sinon.spy();
+      this.fi.scheduler.onDrain(spy);
+      var i;
+      for(i=0; i<3; i++) {
+        this.fi.api.get({path: "users/ntoll", dedupe: false});
+      }
+      this.server.requests[0].respond(200, {}, "");
+      this.server.requests[1].respond(200, {}, "");
+      expect(spy.called).toBeFalsy();
+      this.server.requests[2].respond(200, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      expect(this.fi.scheduler.active()).toEqual(0);
+    });
+
+    it("should free the place of a request completed by the transport straight away", function() {
+      var fi = fluidinfo({maxConcurrentRequests: 1,
+        transport: function(request) {
+          request.onComplete({status: 200, statusText: "OK"});
+        }});
+      fi.api.get({path: "users/ntoll"});
+      fi.api.get({path: "users/ntoll"});
+      expect(fi.scheduler.active()).toEqual(0);
+      expect(fi.scheduler.pending()).toEqual(0);
+    });
+  });
+
+  /**
+   * Describes how responses to GET requests are cached.
+   */
+  describe("Cache", function() {
+    beforeEach(function() {
+      this.fi = fluidinfo({username: "username", password: "password",
+        cache: true});
+      this.headers = {"Content-Type": "application/vnd.fluiddb.value+json",
+        "Cache-Control": "max-age=60"};
+    });
+
+    it("should not cache unless enabled", function() {
+      var fi = fluidinfo();
+      fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, this.headers, "1");
+      fi.api.get({path: "about/foo/ntoll/foo"});
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should serve cached responses while Cache-Control allows", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, this.headers, "1");
+      this.fi.api.get({path: "about/foo/ntoll/foo", onSuccess: spy});
+      expect(this.server.requests.length).toEqual(1);
+      var result = spy.getCall(0).args[0];
+      expect(result.data).toEqual(1);
+      expect(result.cached).toBeTruthy();
+      expect(result.headers["Cache-Control"]).toEqual("max-age=60");
+    });
+
+    it("should keep requests with their own auth or headers out of the cache", function() {
+      this.fi.api.get({path: "about/foo/ntoll/foo", auth: null});
+      this.server.requests[0].respond(200, this.headers, "1");
+      this.fi.api.get({path: "about/foo/ntoll/foo",
+        headers: {"X-Trace-Id": "abc"}});
+      this.server.requests[1].respond(200, this.headers, "2");
+      expect(this.server.requests.length).toEqual(2);
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[2].respond(200, this.headers, "3");
+      this.fi.api.get({path: "about/foo/ntoll/foo", auth: null});
+      this.fi.api.get({path: "about/foo/ntoll/foo",
+        headers: {"X-Trace-Id": "abc"}});
+      expect(this.server.requests.length).toEqual(5);
+      expect(this.server.requests[3].requestHeaders["Authorization"])
+        .toEqual(undefined);
+    });
+
+    it("should go back to Fluidinfo once the response expires", function() {
+      var clock = sinon.useFakeTimers();
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, this.headers, "1");
+      clock.tick(60000);
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      expect(this.server.requests.length).toEqual(2);
+      clock.restore();
+    });
+
+    it("should not cache responses Cache-Control doesn't allow", function() {
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, {"Cache-Control": "no-cache"}, "");
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[1].respond(200, {}, "");
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      expect(this.server.requests.length).toEqual(3);
+    });
+
+    it("should key the cache by URL", function() {
+      this.fi.api.get({path: "values", args: {tag: "ntoll/foo",
+        query: "has ntoll/foo"}});
+      this.server.requests[0].respond(200, this.headers, "1");
+      this.fi.api.get({path: "values", args: {tag: "ntoll/bar",
+        query: "has ntoll/foo"}});
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should allow the cache to be bypassed per request", function() {
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, this.headers, "1");
+      this.fi.api.get({path: "about/foo/ntoll/foo", cache: false});
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should invalidate cached responses for paths the session changes", function() {
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, this.headers, "1");
+      this.fi.api.get({path: "about/bar/ntoll/foo"});
+      this.server.requests[1].respond(200, this.headers, "1");
+      this.fi.api.put({path: "about/foo/ntoll/foo", data: 2});
+      this.server.requests[2].respond(204, {}, "");
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      expect(this.server.requests.length).toEqual(4);
+      this.fi.api.get({path: "about/bar/ntoll/foo"});
+      expect(this.server.requests.length).toEqual(4);
+    });
+
+    it("should invalidate cached objects when updating via /values", function() {
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, this.headers, "1");
+      this.fi.tag({about: "foo", values: {"ntoll/foo": 2}});
+      this.server.requests[1].respond(204, {}, "");
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      expect(this.server.requests.length).toEqual(3);
+    });
+
+    it("should allow manual invalidation", function() {
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, this.headers, "1");
+      this.fi.api.get({path: "namespaces/ntoll"});
+      this.server.requests[1].respond(200, this.headers, "{}");
+      this.fi.cache.invalidate(["about", "foo"]);
+      this.fi.api.get({path: "about/foo/ntoll/foo"});
+      expect(this.server.requests.length).toEqual(3);
+      this.fi.api.get({path: "namespaces/ntoll"});
+      expect(this.server.requests.length).toEqual(3);
+      this.fi.cache.clear();
+      this.fi.api.get({path: "namespaces/ntoll"});
+      expect(this.server.requests.length).toEqual(4);
+    });
+
+    it("should use a given storage object", function() {
+      var entries = {};
+      var storage = {
+        get: function(key) { return entries[key] || null; },
+        set: sinon.spy(function(key, value) { entries[key] = value; }),
+        remove: function(key) { delete entries[key]; },
+        keys: function() { return []; }
+      };
+      var fi = fluidinfo({cache: {storage: storage}});
+      fi.api.get({path: "about/foo/ntoll/foo"});
+      this.server.requests[0].respond(200, this.headers, "1");
+      expect(storage.set.calledOnce).toBeTruthy();
+      expect(storage.set.getCall(0).args[0])
+        .toEqual("GET https://fluiddb.fluidinfo.com/about/foo/ntoll/foo");
+    });
+  });
+
+  /**
+   * Describes how opaque values are sent and received as binary data.
+   */
+  describe("Binary values", function() {
+    it("should PUT binary data with the given content-type", function() {
+      var bytes = new Uint8Array([137, 80, 78, 71]);
+      this.fi.api.put({path: "about/foo/ntoll/image", data: bytes,
+        contentType: "image/png"});
+      expect(this.server.requests[0].requestHeaders["Content-Type"])
+        .toContain("image/png");
+      expect(this.server.requests[0].requestBody).toBe(bytes);
+    });
+
+    it("should complain if binary data has no content-type", function() {
+      try {
+        this.fi.api.put({path: "about/foo/ntoll/image",
+          data: new ArrayBuffer(4)});
+      } catch(e) {
+        var exception = e;
+      }
+      expect(exception.name).toEqual("ValueError");
+    });
+
+    it("should ask the XHR for the requested response type", function() {
+      this.fi.api.get({path: "about/foo/ntoll/image",
+        responseType: "arraybuffer"});
+      expect(this.server.requests[0].responseType).toEqual("arraybuffer");
+    });
+
+    it("should expose the bytes and MIME type of a binary response", function() {
+      var bytes = new Uint8Array([137, 80, 78, 71]).buffer;
+      var requests = [];
+      var fi = fluidinfo({transport: function(request) {
+        requests.push(request);
+      }});
+      var spy = sinon.spy();
+      fi.api.get({path: "about/foo/ntoll/image", responseType: "arraybuffer",
+        onSuccess: spy});
+      expect(requests[0].responseType).toEqual("arraybuffer");
+      requests[0].onComplete({status: 200, statusText: "OK",
+        headers: {"Content-Type": "image/png"}, binary: bytes});
+      var result = spy.getCall(0).args[0];
+      expect(result.data).toBe(bytes);
+      expect(result.rawData).toBe(bytes);
+      expect(result.contentType).toEqual("image/png");
+    });
+
+    it("should not queue binary data while offline", function() {
+      var fi = fluidinfo({username: "username", password: "password",
+        offline: {storage: {getItem: function() { return null; },
+          setItem: function() {}}}});
+      var spy = sinon.spy();
+      fi.api.put({path: "about/foo/ntoll/image", data: new ArrayBuffer(4),
+        contentType: "image/png", onError: spy});
+      this.server.requests[0].respond(0, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      expect(fi.offlineQueue.entries().length).toEqual(0);
+    });
+  });
+
+  /**
+   * Describes how the progress of uploads and downloads is reported.
+   */
+  describe("Progress", function() {
+    it("should report download progress from the XHR", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "about/foo/ntoll/image", onProgress: spy});
+      this.server.requests[0].onprogress({loaded: 50, total: 100,
+        lengthComputable: true});
+      var event = spy.getCall(0).args[0];
+      expect(event.direction).toEqual("download");
+      expect(event.loaded).toEqual(50);
+      expect(event.total).toEqual(100);
+      expect(event.lengthComputable).toBeTruthy();
+    });
+
+    it("should report upload progress from the XHR", function() {
+      var spy = sinon.spy();
+      var onCreate = this.xhr.onCreate;
+      this.xhr.onCreate = function(request) {
+        request.upload = {};
+        onCreate(request);
+      };
+      this.fi.api.put({path: "about/foo/ntoll/image", data: "hello",
+        contentType: "text/plain", onProgress: spy});
+      this.server.requests[0].upload.onprogress({loaded: 3, total: 0,
+        lengthComputable: false});
+      var event = spy.getCall(0).args[0];
+      expect(event.direction).toEqual("upload");
+      expect(event.loaded).toEqual(3);
+      expect(event.total).toEqual(null);
+      expect(event.lengthComputable).toBeFalsy();
+    });
+
+    it("should pass progress events from a transport through", function() {
+      var requests = [];
+      var fi = fluidinfo({transport: function(request) {
+        requests.push(request);
+      }});
+      var spy = sinon.spy();
+      fi.tag({about: "foo", values: {"ntoll/foo": 1}, onProgress: spy});
+      requests[0].onProgress({direction: "upload", loaded: 10, total: 10,
+        lengthComputable: true});
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].loaded).toEqual(10);
+    });
+
+    it("should stop reporting progress once the request is aborted", function() {
+      var spy = sinon.spy();
+      var handle = this.fi.api.get({path: "about/foo/ntoll/image",
+        onProgress: spy});
+      var xhr = this.server.requests[0];
+      handle.abort();
+      xhr.onprogress({loaded: 50, total: 100, lengthComputable: true});
+      expect(spy.called).toBeFalsy();
+    });
+  });
+
+  /**
+   * Describes the events emitted by the session.
+   */
+  describe("Events", function() {
+    it("should complain if a listener isn't a function", function() {
+      try {
+        this.fi.on("request", "foo");
+      } catch(e) {
+        var exception = e;
+      }
+      expect(exception.name).toEqual("ValueError");
+    });
+
+    it("should emit request and response events", function() {
+      var requestSpy = sinon.spy();
+      var responseSpy = sinon.spy();
+      this.fi.on("request", requestSpy).on("response", responseSpy);
+      this.fi.query({select: ["fluiddb/about"], where: "has ntoll/foo"});
+      expect(requestSpy.calledOnce).toBeTruthy();
+      expect(requestSpy.getCall(0).args[0].method).toEqual("GET");
+      this.server.requests[0].respond(200,
+        {"Content-Type": "application/json"}, '{"results": {"id": {}}}');
+      expect(responseSpy.calledOnce).toBeTruthy();
+      expect(responseSpy.getCall(0).args[0].status).toEqual(200);
+      expect(responseSpy.getCall(0).args[1].url)
+        .toContain("https://fluiddb.fluidinfo.com/values");
+    });
+
+    it("should emit error events", function() {
+      var spy = sinon.spy();
+      this.fi.on("error", spy);
+      this.fi.update({values: {"ntoll/foo": 1}, where: "has ntoll/foo"});
+      this.server.requests[0].respond(401, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0] instanceof
+        fluidinfo.errors.AuthorizationError).toBeTruthy();
+    });
+
+    it("should emit retry events", function() {
+      var clock = sinon.useFakeTimers();
+      var fi = fluidinfo({retry: {delay: 100, jitter: 0}});
+      var spy = sinon.spy();
+      fi.on("retry", spy);
+      fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(503, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      expect(spy.getCall(0).args[0].status).toEqual(503);
+      expect(spy.getCall(0).args[2].attempt).toEqual(2);
+      expect(spy.getCall(0).args[2].delay).toEqual(100);
+      clock.restore();
+    });
+
+    it("should emit idle once all requests have completed", function() {
+      var spy = sinon.spy();
+      this.fi.on("idle", spy);
+      this.fi.api.get({path: "users/ntoll"});
+      this.fi.api.get({path: "users/terrycojones"});
+      this.server.requests[1].respond(200, {}, "");
+      expect(spy.called).toBeFalsy();
+      this.server.requests[0].respond(404, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+    });
+
+    it("should stop calling a listener once removed", function() {
+      var spy = sinon.spy();
+      this.fi.on("request", spy);
+      this.fi.off("request", spy);
+      this.fi.api.get({path: "users/ntoll"});
+      expect(spy.called).toBeFalsy();
+    });
+  });
+
+  /**
+   * Describes how the session logs its requests.
+   */
+  describe("Logging", function() {
+    beforeEach(function() {
+      this.sink = sinon.spy();
+      this.fi = fluidinfo({username: "username", password: "s3cr3t",
+        logger: {level: "debug", sink: this.sink}});
+    });
+
+    it("should not log unless enabled", function() {
+      var fi = fluidinfo({username: "username", password: "password"});
+      var spy = sinon.spy(console, "info");
+      fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(200, {}, "");
+      expect(spy.called).toBeFalsy();
+      console.info.restore();
+    });
+
+    it("should complain about unknown levels", function() {
+      try {
+        fluidinfo({logger: {level: "chatty"}});
+      } catch(e) {
+        var exception = e;
+      }
+      expect(exception.name).toEqual("ValueError");
+    });
+
+    it("should log the method, URL, status and timing of requests", function() {
+      this.fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(200, {}, "");
+      expect(this.sink.calledTwice).toBeTruthy();
+      expect(this.sink.getCall(0).args[0]).toEqual("debug");
+      expect(this.sink.getCall(1).args[0]).toEqual("info");
+      var message = this.sink.getCall(1).args[1];
+      expect(message)
+        .toContain("GET https://fluiddb.fluidinfo.com/users/ntoll 200");
+      var details = this.sink.getCall(1).args[2];
+      expect(details.status).toEqual(200);
+      expect(typeof(details.duration)).toEqual("number");
+    });
+
+    it("should log Fluidinfo's error headers", function() {
+      this.fi.api.get({path: "tags/ntoll/foo"});
+      this.server.requests[0].respond(404,
+        {"X-FluidDB-Error-Class": "TNonexistentTag",
+         "X-FluidDB-Path": "ntoll/foo"}, "");
+      var call = this.sink.getCall(1);
+      expect(call.args[0]).toEqual("error");
+      expect(call.args[1]).toContain("TNonexistentTag");
+      expect(call.args[2].fluidinfoHeaders["X-FluidDB-Path"])
+        .toEqual("ntoll/foo");
+    });
+
+    it("should only log messages at or above the level", function() {
+      var sink = sinon.spy();
+      var fi = fluidinfo({logger: {level: "error", sink: sink}});
+      fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(200, {}, "");
+      expect(sink.called).toBeFalsy();
+    });
+
+    it("should redact the credentials", function() {
+      this.fi.api.put({path: "users/username", data: {password: "s3cr3t"}});
+      this.server.requests[0].respond(401, {}, "");
+      var i;
+      for(i=0; i<this.sink.callCount; i++) {
+        var logged = this.sink.getCall(i).args[1] +
+          JSON.stringify(this.sink.getCall(i).args[2]);
+        expect(logged).not.toContain("s3cr3t");
+        expect(logged).not.toContain("dXNlcm5hbWU6czNjcjN0");
+      }
+      expect(this.sink.getCall(0).args[2].headers["Authorization"])
+        .toEqual("[REDACTED]");
+    });
+  });
+
+  /**
+   * Describes the statistics collected about the session's requests.
+   */
+  describe("Statistics", function() {
+    beforeEach(function() {
+      this.clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+      this.clock.restore();
+    });
+
+    it("should start with no statistics", function() {
+      expect(this.fi.stats()).toEqual({});
+    });
+
+    it("should group statistics by endpoint family and method", function() {
+      this.fi.query({select: ["fluiddb/about"], where: "has ntoll/foo"});
+      this.fi.query({select: ["fluiddb/about"], where: "has ntoll/bar"});
+      this.fi.api.post({path: ["namespaces", "ntoll"],
+        data: {name: "foo", description: "bar"}});
+      this.clock.tick(100);
+      this.server.requests[0].respond(200,
+        {"Content-Type": "application/json"}, '{"results": {"id": {}}}');
+      this.clock.tick(200);
+      this.server.requests[1].respond(200,
+        {"Content-Type": "application/json"}, '{"results": {"id": {}}}');
+      this.server.requests[2].respond(412, {"Content-Length": "0"}, "");
+      var stats = this.fi.stats();
+      var values = stats.values.GET;
+      expect(values.count).toEqual(2);
+      expect(values.errors).toEqual(0);
+      expect(values.errorRate).toEqual(0);
+      expect(values.minDuration).toEqual(100);
+      expect(values.maxDuration).toEqual(300);
+      expect(values.averageDuration).toEqual(200);
+      expect(values.bytesReceived).toEqual(46);
+      var namespaces = stats.namespaces.POST;
+      expect(namespaces.count).toEqual(1);
+      expect(namespaces.errors).toEqual(1);
+      expect(namespaces.errorRate).toEqual(1);
+      expect(namespaces.bytesSent)
+        .toEqual(JSON.stringify({name: "foo", description: "bar"}).length);
+    });
+
+    it("should not count aborted requests", function() {
+      this.fi.api.get({path: "users/ntoll"}).abort();
+      expect(this.fi.stats()).toEqual({});
+    });
+
+    it("should reset the statistics", function() {
+      this.fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(200, {}, "");
+      expect(this.fi.stats().users.GET.count).toEqual(1);
+      this.fi.resetStats();
+      expect(this.fi.stats()).toEqual({});
+    });
+  });
+
+  describe("Deduplication", function() {
+    it("should share one network call between identical reads", function() {
+      var first = sinon.spy();
+      var second = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onSuccess: first});
+      this.fi.api.get({path: "users/ntoll", onSuccess: second});
+      expect(this.server.requests.length).toEqual(1);
+      this.server.requests[0].respond(200,
+        {"Content-Type": "application/json"}, '{"name": "Nicholas"}');
+      expect(first.getCall(0).args[0].data.name).toEqual("Nicholas");
+      expect(second.getCall(0).args[0].data.name).toEqual("Nicholas");
+      expect(first.getCall(0).args[0])
+        .not.toBe(second.getCall(0).args[0]);
+    });
+
+    it("should give each caller its own processed result", function() {
+      var first = sinon.spy();
+      var second = sinon.spy();
+      var options = {select: ["fluiddb/about"], where: "has ntoll/foo"};
+      this.fi.query({select: options.select, where: options.where,
+        onSuccess: first});
+      this.fi.query({select: options.select, where: options.where,
+        onSuccess: second});
+      expect(this.server.requests.length).toEqual(1);
+      this.server.requests[0].respond(200,
+        {"Content-Type": "application/json"},
+        '{"results": {"id": {"05eee31e-fbd1-43cc-9500-0469707a9bc3": {"fluiddb/about": {"value": "foo"}}}}}');
+      expect(first.getCall(0).args[0].data[0]["fluiddb/about"])
+        .toEqual("foo");
+      expect(second.getCall(0).args[0].data[0]["fluiddb/about"])
+        .toEqual("foo");
+    });
+
+    it("should not share calls between requests with different arguments", function() {
+      this.fi.api.get({path: "users/ntoll", args: {showAbout: true}});
+      this.fi.api.get({path: "users/ntoll", args: {showAbout: false}});
+      this.fi.api.head({path: "users/ntoll", args: {showAbout: true}});
+      expect(this.server.requests.length).toEqual(3);
+    });
+
+    it("should never share calls between writes", function() {
+      this.fi.api.put({path: "about/foo/ntoll/rating", data: 1});
+      this.fi.api.put({path: "about/foo/ntoll/rating", data: 1});
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should allow a request to opt out", function() {
+      this.fi.api.get({path: "users/ntoll"});
+      this.fi.api.get({path: "users/ntoll", dedupe: false});
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should send a new call once the shared one has completed", function() {
+      this.fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(200, {}, "");
+      this.fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should only cancel the call once every caller has aborted", function() {
+      var spy = sinon.spy();
+      var first = this.fi.api.get({path: "users/ntoll"});
+      var second = this.fi.api.get({path: "users/ntoll", onSuccess: spy});
+      first.abort();
+      expect(this.server.requests[0].aborted).toBeFalsy();
+      this.server.requests[0].respond(200, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+      var third = this.fi.api.get({path: "users/ntoll"});
+      var fourth = this.fi.api.get({path: "users/ntoll"});
+      third.abort();
+      fourth.abort();
+      expect(this.server.requests[1].aborted).toBeTruthy();
+    });
+
+    it("should use a single place in the scheduler", function() {
+      var fi = fluidinfo({maxConcurrentRequests: 2});
+      fi.api.get({path: "users/ntoll"});
+      fi.api.get({path: "users/ntoll"});
+      expect(fi.scheduler.active()).toEqual(1);
+      expect(fi.scheduler.pending()).toEqual(0);
+    });
+
+    it("should complete every caller even if one callback throws", function() {
+      // the exception is rethrown from a timer
+      var clock = sinon.useFakeTimers();
+      var second = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onSuccess: function() {
+        throw new Error("boom");
+      }});
+      this.fi.api.get({path: "users/ntoll", onSuccess: second});
+      this.server.requests[0].respond(200, {}, "");
+      expect(second.calledOnce).toBeTruthy();
+      clock.restore();
+    });
+
+    it("should only ask the transport for progress if a caller wants it", function() {
+      var requests = [];
+      var fi = fluidinfo({transport: function(request) {
+        requests.push(request);
+      }});
+      fi.api.get({path: "users/ntoll"});
+      fi.api.get({path: "users/fxn"});
+      fi.api.get({path: "users/fxn", onProgress: function() {}});
+      fi.api.get({path: "users/terrycojones", onProgress: function() {}});
+      expect(requests.length).toEqual(3);
+      expect(requests[0].onProgress).toEqual(undefined);
+      expect(requests[1].onProgress).toEqual(undefined);
+      expect(typeof requests[2].onProgress).toEqual("function");
+    });
+
+    it("should not leave a call behind if the transport throws", function() {
+      var calls = 0;
+      var fi = fluidinfo({transport: function(request) {
+        calls++;
+        if(calls === 1) {
+          throw new Error("broken");
+        }
+        request.onComplete({status: 200, headers: {}, responseText: ""});
+      }});
+      var onError = sinon.spy();
+      var onSuccess = sinon.spy();
+      fi.api.get({path: "users/ntoll", onError: onError});
+      expect(onError.getCall(0).args[0] instanceof fluidinfo.errors.NetworkError)
+        .toBeTruthy();
+      expect(onError.getCall(0).args[0].statusText).toEqual("broken");
+      fi.api.get({path: "users/ntoll", onSuccess: onSuccess});
+      expect(calls).toEqual(2);
+      expect(onSuccess.calledOnce).toBeTruthy();
+    });
+  });
+
+  describe("Cassettes", function() {
+    it("should record requests and their responses", function() {
+      var fi = fluidinfo({username: "ntoll", password: "secret",
+        cassette: {mode: "record"}});
+      fi.api.put({path: ["about", "foo", "ntoll", "rating"], data: 5});
+      fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(204, {}, "");
+      this.server.requests[1].respond(200,
+        {"Content-Type": "application/json"}, '{"name": "ntoll"}');
+      var interactions = fi.cassette.interactions();
+      expect(interactions.length).toEqual(2);
+      expect(interactions[0].request).toEqual({method: "PUT",
+        url: "https://fluiddb.fluidinfo.com/about/foo/ntoll/rating",
+        data: "5"});
+      expect(interactions[1].response.status).toEqual(200);
+      expect(interactions[1].response.headers["Content-Type"])
+        .toEqual("application/json");
+      expect(interactions[1].response.responseText)
+        .toEqual('{"name": "ntoll"}');
+      expect(JSON.stringify(interactions).indexOf("Authorization"))
+        .toEqual(-1);
+    });
+
+    it("should replay recorded responses without contacting Fluidinfo", function() {
+      var url = "https://fluiddb.fluidinfo.com/users/ntoll";
+      var fi = fluidinfo({cassette: {mode: "replay", interactions: [
+        {request: {method: "GET", url: url, data: null},
+          response: {status: 200, statusText: "OK",
+            headers: {"Content-Type": "application/json"},
+            responseText: '{"name": "first"}'}},
+        {request: {method: "GET", url: url, data: null},
+          response: {status: 200, statusText: "OK",
+            headers: {"Content-Type": "application/json"},
+            responseText: '{"name": "second"}'}}
+      ]}});
+      var spy = sinon.spy();
+      fi.api.get({path: "users/ntoll", onSuccess: spy});
+      expect(fi.cassette.remaining().length).toEqual(1);
+      fi.api.get({path: "users/ntoll", onSuccess: spy});
+      expect(this.server.requests.length).toEqual(0);
+      expect(spy.getCall(0).args[0].data.name).toEqual("first");
+      expect(spy.getCall(1).args[0].data.name).toEqual("second");
+      expect(fi.cassette.remaining().length).toEqual(0);
+    });
+
+    it("should fail requests that have no recorded response", function() {
+      var fi = fluidinfo({retry: true, cassette: {mode: "replay",
+        interactions: []}});
+      var spy = sinon.spy();
+      fi.api.get({path: "users/ntoll", onError: spy});
+      expect(this.server.requests.length).toEqual(0);
+      expect(spy.calledOnce).toBeTruthy();
+      var error = spy.getCall(0).args[0];
+      expect(error instanceof fluidinfo.errors.CassetteError).toBeTruthy();
+      expect(error.url).toEqual("https://fluiddb.fluidinfo.com/users/ntoll");
+    });
+
+    it("should validate the cassette settings", function() {
+      expect(function() {
+        fluidinfo({cassette: {mode: "rewind"}});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "The cassette mode must be \"record\" or \"replay\"."));
+      expect(function() {
+        fluidinfo({cassette: {mode: "replay"}});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "A cassette to replay needs a file or interactions."));
+    });
+  });
+
+  describe("Authentication providers", function() {
+    it("should default to Basic authentication", function() {
+      this.fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[0].requestHeaders["Authorization"])
+        .toEqual("Basic dXNlcm5hbWU6cGFzc3dvcmQ=");
+    });
+
+    it("should send bearer tokens", function() {
+      var fi = fluidinfo({auth: {type: "bearer", token: "abc123"}});
+      fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[0].requestHeaders["Authorization"])
+        .toEqual("Bearer abc123");
+    });
+
+    it("should send OAuth Echo headers", function() {
+      var fi = fluidinfo({auth: {type: "oauthEcho",
+        serviceProvider: "https://api.twitter.com/1/account/verify_credentials.json",
+        credentials: 'OAuth oauth_consumer_key="key"'}});
+      fi.createObject({about: "foo"});
+      var headers = this.server.requests[0].requestHeaders;
+      expect(headers["X-Auth-Service-Provider"])
+        .toEqual("https://api.twitter.com/1/account/verify_credentials.json");
+      expect(headers["X-Verify-Credentials-Authorization"])
+        .toEqual('OAuth oauth_consumer_key="key"');
+      expect(headers["Authorization"]).toEqual(undefined);
+    });
+
+    it("should accept the auth option of a single request", function() {
+      this.fi.api.get({path: "users/ntoll",
+        auth: {type: "bearer", token: "abc123"}});
+      this.fi.api.get({path: "users/fxn", auth: null});
+      expect(this.server.requests[0].requestHeaders["Authorization"])
+        .toEqual("Bearer abc123");
+      expect(this.server.requests[1].requestHeaders["Authorization"])
+        .toEqual(undefined);
+    });
+
+    it("should use custom providers", function() {
+      var fi = fluidinfo({auth: {authorize: function(request) {
+        request.headers["X-Signature"] = request.method + " " + request.path;
+      }}});
+      fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[0].requestHeaders["X-Signature"])
+        .toEqual("GET users/ntoll");
+    });
+
+    it("should wait for asynchronous signing", function() {
+      var server = this.server;
+      var fi = fluidinfo({auth: {type: "delegated", sign: function(request) {
+        return Promise.resolve({"Authorization": "Signed " + request.url});
+      }}});
+      fi.api.get({path: "users/ntoll"});
+      expect(server.requests.length).toEqual(0);
+      waitsFor(function() {
+        return server.requests.length === 1;
+      }, "the request to be signed", 500);
+      runs(function() {
+        expect(server.requests[0].requestHeaders["Authorization"])
+          .toEqual("Signed https://fluiddb.fluidinfo.com/users/ntoll");
+      });
+    });
+
+    it("should not leave signing unwatched when a write is queued", function() {
+      var pending = {then: sinon.spy()};
+      var calls = 0;
+      var fi = fluidinfo({offline: {storage: {getItem: function() {
+          return null;
+        }, setItem: function() {}}},
+        auth: {authorize: function(request) {
+          calls++;
+          return calls === 1 ? undefined : pending;
+        }}});
+      fi.api.put({path: "about/foo/ntoll/foo", data: 1});
+      this.server.requests[0].respond(0, {}, "");
+      fi.api.put({path: "about/bar/ntoll/foo", data: 2});
+      expect(fi.offlineQueue.entries().length).toEqual(2);
+      // only a rejection handler is attached to the discarded credentials
+      // (the replayed request then obtains its own)
+      expect(pending.then.getCall(0).args[0]).toEqual(null);
+      expect(typeof pending.then.getCall(0).args[1]).toEqual("function");
+    });
+
+    it("should fail with an AuthorizationError if signing fails", function() {
+      var spy = sinon.spy();
+      var fi = fluidinfo({auth: {type: "bearer", token: function() {
+        return Promise.reject(new Error("offline"));
+      }}});
+      fi.api.get({path: "users/ntoll", onError: spy});
+      waitsFor(function() {
+        return spy.called;
+      }, "the request to fail", 500);
+      runs(function() {
+        var error = spy.getCall(0).args[0];
+        expect(error instanceof fluidinfo.errors.AuthorizationError)
+          .toBeTruthy();
+        expect(error.message).toEqual("Unable to authenticate: offline");
+        expect(this.server.requests.length).toEqual(0);
+      });
+    });
+
+    it("should refuse synchronous requests it would have to wait for", function() {
+      var fi = fluidinfo({auth: {type: "bearer", token: function() {
+        return Promise.resolve("abc");
+      }}});
+      expect(function() {
+        fi.api.get({path: "users/ntoll", async: false});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "Synchronous requests can't wait for the authentication provider."));
+    });
+
+    it("should refresh rejected credentials and try again", function() {
+      var spy = sinon.spy();
+      var fi = fluidinfo({auth: {type: "bearer", token: "old",
+        refresh: function() {
+          return "new";
+        }}});
+      fi.api.get({path: "users/ntoll", onSuccess: spy});
+      this.server.requests[0].respond(401,
+        {"X-FluidDB-Error-Class": "TUnauthorized"}, "");
+      expect(this.server.requests[1].requestHeaders["Authorization"])
+        .toEqual("Bearer new");
+      this.server.requests[1].respond(200, {}, "");
+      expect(spy.calledOnce).toBeTruthy();
+    });
+
+    it("should only refresh credentials once per request", function() {
+      var spy = sinon.spy();
+      var refresh = sinon.spy();
+      var fi = fluidinfo({auth: {type: "bearer", token: "old",
+        refresh: refresh}});
+      fi.api.get({path: "users/ntoll", onError: spy});
+      this.server.requests[0].respond(401, {}, "");
+      this.server.requests[1].respond(401, {}, "");
+      expect(refresh.calledOnce).toBeTruthy();
+      expect(this.server.requests.length).toEqual(2);
+      expect(spy.getCall(0).args[0] instanceof
+        fluidinfo.errors.AuthorizationError).toBeTruthy();
+    });
+
+    it("should not refresh credentials when permission is denied", function() {
+      var refresh = sinon.spy();
+      var fi = fluidinfo({auth: {type: "bearer", token: "abc",
+        refresh: refresh}});
+      fi.api.get({path: "about/foo/ntoll/secret"});
+      this.server.requests[0].respond(401,
+        {"X-FluidDB-Error-Class": "TPathPermissionDenied"}, "");
+      expect(refresh.called).toBeFalsy();
+    });
+
+    it("should complain about unknown providers", function() {
+      expect(function() {
+        fluidinfo({auth: {type: "kerberos"}});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "Unknown authentication provider: kerberos"));
+    });
+  });
+
+  describe("Unicode", function() {
+    it("should encode credentials beyond the BMP as UTF-8", function() {
+      var fi = fluidinfo({username: "ntoll", password: "p😀ss"});
+      fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[0].requestHeaders["Authorization"])
+        .toEqual("Basic bnRvbGw6cPCfmIBzcw==");
+      fi = fluidinfo({username: "𝔫toll", password: "pass"});
+      fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[1].requestHeaders["Authorization"])
+        .toEqual("Basic 8J2Uq3RvbGw6cGFzcw==");
+    });
+
+    it("should replace lone surrogates in credentials", function() {
+      var fi = fluidinfo({username: "ntoll", password: "p\uD83Dss"});
+      fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[0].requestHeaders["Authorization"])
+        .toEqual("Basic bnRvbGw6cO+/vXNz");
+    });
+
+    it("should encode path segments beyond the BMP", function() {
+      this.fi.api.get({path: ["about", "smile 😀", "ntoll", "rating"]});
+      expect(this.server.requests[0].url).toEqual(
+        "https://fluiddb.fluidinfo.com/about/smile%20%F0%9F%98%80/ntoll/rating");
+    });
+
+    it("should encode about values in generated queries", function() {
+      this.fi.getObject({about: "😀", select: ["ntoll/rating"]});
+      expect(this.server.requests[0].url).toContain(
+        "query=fluiddb%2Fabout%3D%22%F0%9F%98%80%22");
+    });
+
+    it("should reject lone surrogates in paths", function() {
+      var fi = this.fi;
+      expect(function() {
+        fi.api.get({path: ["about", "\uDE00"]});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "Malformed Unicode (a lone surrogate) in: \uDE00"));
+    });
+
+    it("should round trip non-BMP characters with the fake server", function() {
+      var fake = fluidinfo.fakeServer({users: {ntoll: "p😀ss"}});
+      var fi = fluidinfo({username: "ntoll", password: "p😀ss",
+        transport: fake.transport});
+      var result = fi.api.post({path: "objects",
+        data: {about: "😀"}, async: false});
+      expect(result.status).toEqual(201);
+      result = fi.api.get({path: ["about", "😀"], async: false});
+      expect(result.status).toEqual(200);
+      result = fi.api.get({path: "values", args: {tag: "fluiddb/about",
+        query: 'fluiddb/about="😀"'}, async: false});
+      var ids = result.data.results.id;
+      var id;
+      for(id in ids) {
+        expect(ids[id]["fluiddb/about"].value).toEqual("😀");
+      }
+      expect(id).toBeDefined();
+    });
+  });
+
+  describe("Login", function() {
+    it("should verify the credentials against the user's details", function() {
+      this.fi.login({username: "ntoll", password: "secret"});
+      var request = this.server.requests[0];
+      expect(request.method).toEqual("GET");
+      expect(request.url).toEqual("https://fluiddb.fluidinfo.com/users/ntoll");
+      expect(request.requestHeaders["Authorization"])
+        .toEqual("Basic bnRvbGw6c2VjcmV0");
+      expect(this.fi.username).toEqual("username");
+    });
+
+    it("should adopt the credentials once verified", function() {
+      var onSuccess = sinon.spy();
+      var listener = sinon.spy();
+      this.fi.on("identity", listener);
+      this.fi.login({username: "ntoll", password: "secret",
+        onSuccess: onSuccess});
+      this.server.requests[0].respond(200, {"Content-Type": "application/json"},
+        '{"name": "Nicholas", "id": "a-uuid"}');
+      expect(onSuccess.calledOnce).toBeTruthy();
+      expect(this.fi.username).toEqual("ntoll");
+      expect(listener.calledOnce).toBeTruthy();
+      expect(listener.args[0][0]).toEqual({username: "ntoll",
+        previous: "username"});
+      this.fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[1].requestHeaders["Authorization"])
+        .toEqual("Basic bnRvbGw6c2VjcmV0");
+    });
+
+    it("should keep the current identity if the credentials are rejected", function() {
+      var onError = sinon.spy();
+      var listener = sinon.spy();
+      this.fi.on("identity", listener);
+      this.fi.login({username: "ntoll", password: "wrong", onError: onError});
+      this.server.requests[0].respond(401, {"X-FluidDB-Error-Class": "TUnauthorized"},
+        "");
+      expect(onError.calledOnce).toBeTruthy();
+      expect(onError.args[0][0].status).toEqual(401);
+      expect(this.fi.username).toEqual("username");
+      expect(listener.called).toBeFalsy();
+      this.fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[1].requestHeaders["Authorization"])
+        .toEqual("Basic dXNlcm5hbWU6cGFzc3dvcmQ=");
+    });
+
+    it("should clear the cache when the identity changes", function() {
+      var fi = fluidinfo({username: "username", password: "password",
+        cache: true});
+      fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(200, {"Content-Type": "application/json"},
+        '{"name": "Nicholas", "id": "a-uuid"}');
+      fi.logout();
+      fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests.length).toEqual(2);
+    });
+
+    it("should revert to anonymous access on logout", function() {
+      var listener = sinon.spy();
+      this.fi.on("identity", listener);
+      this.fi.logout();
+      expect(this.fi.username).toEqual(undefined);
+      expect(listener.args[0][0]).toEqual({username: undefined,
+        previous: "username"});
+      this.fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[0].requestHeaders["Authorization"])
+        .toEqual(undefined);
+      this.fi.logout();
+      expect(listener.calledOnce).toBeTruthy();
+    });
+
+    it("should require a username and password", function() {
+      var fi = this.fi;
+      expect(function() {
+        fi.login({username: "ntoll"});
+      }).toThrow(new fluidinfo.errors.ValueError("Supply both a username and password."));
+    });
+  });
+
+  describe("Namespaces", function() {
+    it("should create a namespace inside its parent", function() {
+      var spy = sinon.spy();
+      this.fi.createNamespace({path: "ntoll/books/fiction",
+        description: "Novels", onSuccess: spy});
+      var request = this.server.requests[0];
+      expect(request.method).toEqual("POST");
+      expect(request.url)
+        .toEqual("https://fluiddb.fluidinfo.com/namespaces/ntoll/books");
+      expect(JSON.parse(request.requestBody))
+        .toEqual({name: "fiction", description: "Novels"});
+      request.respond(201, {"Content-Type": "application/json"},
+        '{"id": "a-uuid", "URI": "https://fluiddb.fluidinfo.com/namespaces/ntoll/books/fiction"}');
+      expect(spy.getCall(0).args[0].data).toEqual({id: "a-uuid",
+        path: "ntoll/books/fiction", description: "Novels"});
+    });
+
+    it("should refuse invalid namespace paths", function() {
+      var fi = this.fi;
+      expect(function() {
+        fi.createNamespace({path: "ntoll"});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "The namespace path must include its parent namespace (e.g. ntoll/books): ntoll"));
+      expect(function() {
+        fi.createNamespace({path: "ntoll//books"});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "Invalid namespace path: ntoll//books"));
+      expect(this.server.requests.length).toEqual(0);
+    });
+
+    it("should get a namespace and list its contents", function() {
+      var spy = sinon.spy();
+      this.fi.getNamespace({path: "ntoll/books", returnDescription: true,
+        returnNamespaces: true, returnTags: true, onSuccess: spy});
+      var request = this.server.requests[0];
+      expect(request.method).toEqual("GET");
+      expect(request.url).toEqual("https://fluiddb.fluidinfo.com/namespaces/" +
+        "ntoll/books?returnDescription=true&returnNamespaces=true&returnTags=true");
+      request.respond(200, {"Content-Type": "application/json"},
+        '{"id": "a-uuid", "description": "Books", "namespaceNames": ["fiction"], "tagNames": ["rating", "read"]}');
+      expect(spy.getCall(0).args[0].data).toEqual({id: "a-uuid",
+        path: "ntoll/books", description: "Books",
+        namespaces: ["ntoll/books/fiction"],
+        tags: ["ntoll/books/rating", "ntoll/books/read"]});
+    });
+
+    it("should update a namespace's description", function() {
+      var spy = sinon.spy();
+      this.fi.updateNamespace({path: "ntoll/books", description: "All books",
+        onSuccess: spy});
+      var request = this.server.requests[0];
+      expect(request.method).toEqual("PUT");
+      expect(JSON.parse(request.requestBody))
+        .toEqual({description: "All books"});
+      request.respond(204, {}, "");
+      expect(spy.getCall(0).args[0].data).toEqual({path: "ntoll/books",
+        description: "All books"});
+    });
+
+    it("should report nonexistent and non-empty namespaces", function() {
+      var spy = sinon.spy();
+      this.fi.deleteNamespace({path: "ntoll/books", onError: spy});
+      this.fi.getNamespace({path: "ntoll/nope", onError: spy});
+      expect(this.server.requests[0].method).toEqual("DELETE");
+      this.server.requests[0].respond(412,
+        {"X-FluidDB-Error-Class": "TNamespaceNotEmpty"}, "");
+      this.server.requests[1].respond(404,
+        {"X-FluidDB-Error-Class": "TNonexistentNamespace"}, "");
+      expect(spy.getCall(0).args[0] instanceof fluidinfo.errors.NamespaceNotEmpty)
+        .toBeTruthy();
+      expect(spy.getCall(1).args[0] instanceof fluidinfo.errors.NonexistentNamespace)
+        .toBeTruthy();
+    });
+
+    it("should manage namespaces end to end with the fake server", function() {
+      var fake = fluidinfo.fakeServer({users: {ntoll: "secret"}});
+      var fi = fluidinfo({username: "ntoll", password: "secret",
+        transport: fake.transport});
+      var errors = [];
+      var onError = function(error) {
+        errors.push(error);
+      };
+      var result = null;
+      var onSuccess = function(value) {
+        result = value;
+      };
+      fi.createNamespace({path: "ntoll/books", description: "Books",
+        async: false});
+      fi.createNamespace({path: "ntoll/books/fiction", async: false});
+      fi.getNamespace({path: "ntoll/books", returnNamespaces: true,
+        returnDescription: true, async: false, onSuccess: onSuccess});
+      expect(result.data.description).toEqual("Books");
+      expect(result.data.namespaces).toEqual(["ntoll/books/fiction"]);
+      fi.deleteNamespace({path: "ntoll/books", async: false,
+        onError: onError});
+      expect(errors[0] instanceof fluidinfo.errors.NamespaceNotEmpty)
+        .toBeTruthy();
+      fi.deleteNamespace({path: "ntoll/books/fiction", async: false});
+      fi.deleteNamespace({path: "ntoll/books", async: false});
+      fi.getNamespace({path: "ntoll/books", async: false, onError: onError});
+      expect(errors[1] instanceof fluidinfo.errors.NonexistentNamespace)
+        .toBeTruthy();
+    });
+  });
+
+  describe("Tags", function() {
+    it("should create a tag in its namespace", function() {
+      var spy = sinon.spy();
+      this.fi.createTag({path: "ntoll/books/rating", description: "Out of 5",
+        indexed: true, onSuccess: spy});
+      var request = this.server.requests[0];
+      expect(request.method).toEqual("POST");
+      expect(request.url)
+        .toEqual("https://fluiddb.fluidinfo.com/tags/ntoll/books");
+      expect(JSON.parse(request.requestBody)).toEqual({name: "rating",
+        description: "Out of 5", indexed: true});
+      request.respond(201, {"Content-Type": "application/json"},
+        '{"id": "a-uuid", "URI": "https://fluiddb.fluidinfo.com/tags/ntoll/books/rating"}');
+      expect(spy.getCall(0).args[0].data).toEqual({id: "a-uuid",
+        path: "ntoll/books/rating", description: "Out of 5", indexed: true});
+    });
+
+    it("should refuse invalid tag paths", function() {
+      var fi = this.fi;
+      expect(function() {
+        fi.createTag({path: "rating"});
+      }).toThrow(new fluidinfo.errors.TagPathError(
+        "The tag path must include its parent namespace (e.g. ntoll/books): rating"));
+      expect(function() {
+        fi.getTag({path: "ntoll/rating/"});
+      }).toThrow(new fluidinfo.errors.TagPathError(
+        "Invalid tag path: ntoll/rating/"));
+      expect(function() {
+        fi.deleteTag({});
+      }).toThrow(new fluidinfo.errors.TagPathError("Missing tag path."));
+      expect(this.server.requests.length).toEqual(0);
+    });
+
+    it("should get a tag", function() {
+      var spy = sinon.spy();
+      this.fi.getTag({path: "ntoll/rating", returnDescription: true,
+        onSuccess: spy});
+      var request = this.server.requests[0];
+      expect(request.url).toEqual("https://fluiddb.fluidinfo.com/tags/" +
+        "ntoll/rating?returnDescription=true");
+      request.respond(200, {"Content-Type": "application/json"},
+        '{"id": "a-uuid", "indexed": false, "description": "Out of 5"}');
+      expect(spy.getCall(0).args[0].data).toEqual({id: "a-uuid",
+        path: "ntoll/rating", indexed: false, description: "Out of 5"});
+    });
+
+    it("should update a tag's description", function() {
+      var spy = sinon.spy();
+      this.fi.updateTag({path: "ntoll/rating", description: "Out of 10",
+        onSuccess: spy});
+      var request = this.server.requests[0];
+      expect(request.method).toEqual("PUT");
+      expect(request.url)
+        .toEqual("https://fluiddb.fluidinfo.com/tags/ntoll/rating");
+      expect(JSON.parse(request.requestBody))
+        .toEqual({description: "Out of 10"});
+      request.respond(204, {}, "");
+      expect(spy.getCall(0).args[0].data).toEqual({path: "ntoll/rating",
+        description: "Out of 10"});
+    });
+
+    it("should manage tags end to end with the fake server", function() {
+      var fake = fluidinfo.fakeServer({users: {ntoll: "secret"}});
+      var fi = fluidinfo({username: "ntoll", password: "secret",
+        transport: fake.transport});
+      var errors = [];
+      var onError = function(error) {
+        errors.push(error);
+      };
+      var result = null;
+      var onSuccess = function(value) {
+        result = value;
+      };
+      fi.createTag({path: "ntoll/rating", indexed: true, async: false});
+      fi.createTag({path: "ntoll/rating", async: false, onError: onError});
+      expect(errors[0] instanceof fluidinfo.errors.TagAlreadyExists)
+        .toBeTruthy();
+      fi.updateTag({path: "ntoll/rating", description: "Out of 5",
+        async: false});
+      fi.getTag({path: "ntoll/rating", returnDescription: true,
+        async: false, onSuccess: onSuccess});
+      expect(result.data.description).toEqual("Out of 5");
+      expect(result.data.indexed).toEqual(true);
+      fi.deleteTag({path: "ntoll/rating", async: false});
+      fi.getTag({path: "ntoll/rating", async: false, onError: onError});
+      expect(errors[1] instanceof fluidinfo.errors.NonexistentTag)
+        .toBeTruthy();
+    });
+  });
+
+  describe("Endpoints", function() {
+    beforeEach(function() {
+      this.clock = sinon.useFakeTimers();
+      this.primary = "http://primary.example.com/";
+      this.replica = "http://replica.example.com:8080/fluidinfo/";
+      this.fi = fluidinfo({username: "username", password: "password",
+        endpoints: [this.primary, this.replica],
+        healthCheck: {interval: 1000, timeout: 500}});
+    });
+
+    afterEach(function() {
+      this.fi.endpoints.stop();
+      this.clock.restore();
+    });
+
+    it("should use the primary as the base URL", function() {
+      expect(this.fi.baseURL).toEqual(this.primary);
+      var status = this.fi.endpoints.status();
+      expect(status.length).toEqual(2);
+      expect(status[0].primary).toBeTruthy();
+      expect(status[1].url).toEqual(this.replica);
+      expect(status[1].healthy).toBeTruthy();
+    });
+
+    it("should route writes to the primary and share reads between endpoints", function() {
+      var spy = sinon.spy();
+      this.fi.api.get({path: "users/ntoll", onSuccess: spy});
+      this.fi.api.get({path: "users/fxn", onSuccess: spy});
+      this.fi.api.put({path: ["about", "foo", "ntoll", "rating"], data: 1,
+        onSuccess: spy});
+      expect(this.server.requests[0].url)
+        .toEqual(this.primary + "users/ntoll");
+      expect(this.server.requests[1].url)
+        .toEqual(this.replica + "users/fxn");
+      expect(this.server.requests[2].url)
+        .toEqual(this.primary + "about/foo/ntoll/rating");
+      this.server.requests[1].respond(200, {}, "");
+      expect(spy.getCall(0).args[0].endpoint).toEqual(this.replica);
+    });
+
+    it("should fail over when an endpoint stops responding", function() {
+      var spy = sinon.spy();
+      var failover = sinon.spy();
+      this.fi.on("failover", failover);
+      this.fi.api.put({path: ["about", "foo", "ntoll", "rating"], data: 1,
+        onSuccess: spy});
+      this.server.requests[0].respond(0, {}, "");
+      expect(failover.getCall(0).args[1]).toEqual({from: this.primary,
+        to: this.replica});
+      expect(this.server.requests[1].url)
+        .toEqual(this.replica + "about/foo/ntoll/rating");
+      this.server.requests[1].respond(204, {}, "");
+      expect(spy.getCall(0).args[0].endpoint).toEqual(this.replica);
+      expect(spy.getCall(0).args[0].retries).toEqual(0);
+      expect(this.fi.endpoints.status()[0].healthy).toBeFalsy();
+      this.fi.api.get({path: "users/ntoll"});
+      expect(this.server.requests[2].url)
+        .toEqual(this.replica + "users/ntoll");
+    });
+
+    it("should fail over when an endpoint times out", function() {
+      this.fi.api.get({path: "users/ntoll", timeout: 100});
+      this.clock.tick(100);
+      expect(this.server.requests[0].aborted).toBeTruthy();
+      expect(this.server.requests[1].url)
+        .toEqual(this.replica + "users/ntoll");
+    });
+
+    it("should fail over a timed out request sharing a call", function() {
+      var spy = sinon.spy();
+      var failover = sinon.spy();
+      this.fi.on("failover", failover);
+      this.fi.api.get({path: "users/ntoll"});
+      this.fi.api.get({path: "users/ntoll", timeout: 50, onSuccess: spy});
+      expect(this.server.requests.length).toEqual(1);
+      this.clock.tick(50);
+      expect(failover.calledOnce).toBeTruthy();
+      // the other caller is still waiting on the original call
+      expect(this.server.requests[0].aborted).toBeFalsy();
+      expect(this.server.requests.length).toEqual(2);
+      expect(this.server.requests[1].url)
+        .toEqual(this.replica + "users/ntoll");
+      this.server.requests[1].respond(200, {}, "");
+      expect(spy.getCall(0).args[0].endpoint).toEqual(this.replica);
+    });
+
+    it("should not send POSTs to another endpoint", function() {
+      var spy = sinon.spy();
+      this.fi.api.post({path: ["namespaces", "ntoll"],
+        data: {name: "foo", description: "bar"}, onError: spy});
+      this.server.requests[0].respond(503, {}, "");
+      expect(this.server.requests.length).toEqual(1);
+      expect(spy.getCall(0).args[0].endpoint).toEqual(this.primary);
+      expect(this.fi.endpoints.status()[0].healthy).toBeFalsy();
+    });
+
+    it("should health check the endpoints periodically", function() {
+      this.fi.api.get({path: "users/ntoll"});
+      this.server.requests[0].respond(0, {}, "");
+      this.server.requests[1].respond(200, {}, "");
+      expect(this.fi.endpoints.status()[0].healthy).toBeFalsy();
+      this.clock.tick(1000);
+      expect(this.server.requests[2].url)
+        .toEqual(this.primary + "users/fluiddb");
+      expect(this.server.requests[3].url)
+        .toEqual(this.replica + "users/fluiddb");
+      this.server.requests[2].respond(200, {}, "");
+      expect(this.fi.endpoints.status()[0].healthy).toBeTruthy();
+      expect(this.fi.endpoints.status()[0].lastChecked).not.toEqual(null);
+      this.clock.tick(500);
+      expect(this.fi.endpoints.status()[1].healthy).toBeFalsy();
+    });
+
+    it("should check the endpoints on demand", function() {
+      this.fi.endpoints.stop();
+      var fi = fluidinfo({endpoints: [this.primary, this.replica],
+        healthCheck: false});
+      var spy = sinon.spy();
+      this.clock.tick(60000);
+      expect(this.server.requests.length).toEqual(0);
+      fi.endpoints.check(spy);
+      this.server.requests[0].respond(500, {}, "");
+      expect(spy.called).toBeFalsy();
+      this.server.requests[1].respond(404, {}, "");
+      var status = spy.getCall(0).args[0];
+      expect(status[0].healthy).toBeFalsy();
+      expect(status[1].healthy).toBeTruthy();
+    });
+
+    it("should validate the endpoints", function() {
+      expect(function() {
+        fluidinfo({endpoints: []});
+      }).toThrow(new fluidinfo.errors.ValueError(
+        "The endpoints must be a non-empty array of instances."));
+      expect(function() {
+        fluidinfo({endpoints: ["http://localhost/", "localhost"]});
+      }).toThrow(new fluidinfo.errors.ValueError("The URL must start with http[s]:// and have a trailing slash ('/') to be valid. E.g. https://localhost/ or http://localhost:9000/fluidinfo/"));
+    });
+  });
+
+  describe("Fake server", function() {
+    beforeEach(function() {
+      this.clock = sinon.useFakeTimers();
+      // sinon's fake timers run timers due at time 0 in reverse order
+      this.clock.tick(1);
+      this.fake = fluidinfo.fakeServer({users: {ntoll: "secret", fxn: "pw"}});
+      this.ntoll = fluidinfo({username: "ntoll", password: "secret",
+        transport: this.fake.transport});
+      this.fxn = fluidinfo({username: "fxn", password: "pw",
+        transport: this.fake.transport});
+    });
+
+    afterEach(function() {
+      this.clock.restore();
+    });
+
+    it("should answer asynchronous requests after its delay", function() {
+      var fake = fluidinfo.fakeServer({users: {ntoll: "secret"}, delay: 50});
+      var fi = fluidinfo({transport: fake.transport});
+      var spy = sinon.spy();
+      fi.api.get({path: "users/ntoll", onSuccess: spy});
+      this.clock.tick(49);
+      expect(spy.called).toBeFalsy();
+      this.clock.tick(1);
+      expect(spy.getCall(0).args[0].data.name).toEqual("ntoll");
+      expect(fake.requests.length).toEqual(1);
+    });
+
+    it("should refuse to delete fluiddb/id or * values", function() {
+      var fi = this.ntoll;
+      var paths = ["fluiddb/id", "*"];
+      var i;
+      for(i=0; i<paths.length; i++) {
+        var result = fi.api.delete({path: "values",
+          args: {tag: [paths[i]], query: "has fluiddb/about"}, async: false});
+        expect(result instanceof fluidinfo.errors.ValueError).toBeTruthy();
+        expect(result.status).toEqual(400);
+        expect(result.path).toEqual(paths[i]);
+      }
+    });
+
+    it("should answer synchronous requests straight away", function() {
+      var result = this.ntoll.api.get({path: "users/fxn", async: false});
+      expect(result.status).toEqual(200);
+      expect(result.data.name).toEqual("fxn");
+    });
+
+    it("should reject bad credentials", function() {
+      var fi = fluidinfo({username: "ntoll", password: "wrong",
+        transport: this.fake.transport});
+      var spy = sinon.spy();
+      fi.api.get({path: "users/ntoll", onError: spy});
+      this.clock.tick(0);
+      expect(spy.getCall(0).args[0] instanceof
+        fluidinfo.errors.AuthorizationError).toBeTruthy();
+    });
+
+    it("should store and query tag values", function() {
+      var spy = sinon.spy();
+      var fi = this.ntoll;
+      var clock = this.clock;
+      fi.createObject({about: "book:dune"});
+      fi.createObject({about: "book:emma"});
+      clock.tick(0);
+      fi.tag({about: "book:dune", values: {"ntoll/rating": 5,
+        "ntoll/comment": "A fantastic desert story"}});
+      fi.tag({about: "book:emma", values: {"ntoll/rating": 3,
+        "ntoll/genres": ["classic", "romance"]}});
+      clock.tick(0);
+      fi.query({select: ["fluiddb/about", "ntoll/rating"],
+        where: 'ntoll/rating > 2 except ntoll/comment matches "DESERT"',
+        onSuccess: spy});
+      fi.query({select: ["fluiddb/about"],
+        where: 'ntoll/genres contains "classic" or ntoll/rating >= 5',
+        onSuccess: spy});
+      clock.tick(0);
+      expect(spy.getCall(0).args[0].data.length).toEqual(1);
+      expect(spy.getCall(0).args[0].data[0]["fluiddb/about"])
+        .toEqual("book:emma");
+      expect(spy.getCall(0).args[0].data[0]["ntoll/rating"]).toEqual(3);
+      expect(spy.getCall(1).args[0].data.length).toEqual(2);
+    });
+
+    it("should serve primitive and opaque values", function() {
+      var spy = sinon.spy();
+      var fi = this.ntoll;
+      fi.api.put({path: ["about", "book:dune", "ntoll", "rating"], data: 5});
+      fi.api.put({path: ["about", "book:dune", "ntoll", "cover"],
+        data: "<b>Dune</b>", contentType: "text/html"});
+      this.clock.tick(0);
+      fi.api.get({path: ["about", "book:dune", "ntoll", "rating"],
+        onSuccess: spy});
+      fi.api.get({path: ["about", "book:dune", "ntoll", "cover"],
+        onSuccess: spy});
+      fi.api.get({path: ["about", "book:dune"], onSuccess: spy});
+      this.clock.tick(0);
+      expect(spy.getCall(0).args[0].data).toEqual(5);
+      expect(spy.getCall(1).args[0].contentType).toEqual("text/html");
+      expect(spy.getCall(1).args[0].data).toEqual("<b>Dune</b>");
+      expect(spy.getCall(2).args[0].data.tagPaths.length).toEqual(3);
+    });
+
+    it("should report missing tags and bad queries", function() {
+      var spy = sinon.spy();
+      this.ntoll.query({select: ["fluiddb/about"], where: "has ntoll/nope",
+        onError: spy});
+      this.ntoll.query({select: ["fluiddb/about"], where: "ntoll/rating >",
+        onError: spy});
+      this.clock.tick(0);
+      expect(spy.getCall(0).args[0] instanceof
+        fluidinfo.errors.NonexistentTag).toBeTruthy();
+      expect(spy.getCall(0).args[0].path).toEqual("ntoll/nope");
+      expect(spy.getCall(1).args[0] instanceof
+        fluidinfo.errors.QueryError).toBeTruthy();
+    });
+
+    it("should manage namespaces and tags", function() {
+      var spy = sinon.spy();
+      var errorSpy = sinon.spy();
+      var fi = this.ntoll;
+      fi.api.post({path: ["namespaces", "ntoll"],
+        data: {name: "books", description: "Books"}});
+      this.clock.tick(0);
+      fi.api.post({path: ["tags", "ntoll", "books"],
+        data: {name: "isbn", description: "ISBN", indexed: false}});
+      fi.api.post({path: ["namespaces", "ntoll"],
+        data: {name: "books", description: "Books"}, onError: errorSpy});
+      this.clock.tick(0);
+      fi.api.get({path: ["namespaces", "ntoll", "books"],
+        args: {returnDescription: true, returnTags: true}, onSuccess: spy});
+      fi.api.delete({path: ["namespaces", "ntoll", "books"],
+        onError: errorSpy});
+      this.clock.tick(0);
+      expect(spy.getCall(0).args[0].data.description).toEqual("Books");
+      expect(spy.getCall(0).args[0].data.tagNames).toEqual(["isbn"]);
+      expect(errorSpy.getCall(0).args[0] instanceof
+        fluidinfo.errors.NamespaceAlreadyExists).toBeTruthy();
+      expect(errorSpy.getCall(1).args[0] instanceof
+        fluidinfo.errors.NamespaceNotEmpty).toBeTruthy();
+    });
+
+    it("should fake an instance with a path prefix", function() {
+      var fake = fluidinfo.fakeServer({users: {ntoll: "secret"},
+        baseURL: "http://localhost:9000/fluidinfo/"});
+      var fi = fluidinfo({instance: "http://localhost:9000/fluidinfo/",
+        transport: fake.transport});
+      var result = fi.api.get({path: "users/ntoll", async: false});
+      expect(result.data.name).toEqual("ntoll");
+    });
+
+    it("should enforce permissions", function() {
+      var spy = sinon.spy();
+      this.ntoll.api.put({path: ["about", "book:dune", "ntoll", "rating"],
+        data: 5});
+      this.clock.tick(0);
+      this.fxn.api.put({path: ["about", "book:dune", "ntoll", "rating"],
+        data: 1, onError: spy});
+      this.ntoll.api.put({path: ["permissions", "tag-values", "ntoll",
+        "rating"], args: {action: "read"},
+        data: {policy: "closed", exceptions: ["ntoll"]}});
+      this.clock.tick(0);
+      this.fxn.api.get({path: ["about", "book:dune", "ntoll", "rating"],
+        onError: spy});
+      this.clock.tick(0);
+      expect(spy.callCount).toEqual(2);
+      expect(spy.getCall(0).args[0] instanceof
+        fluidinfo.errors.PermissionDenied).toBeTruthy();
+      expect(spy.getCall(1).args[0] instanceof
+        fluidinfo.errors.PermissionDenied).toBeTruthy();
+    });
+  });
+
   afterEach(function() {
     this.server.restore();
   });